@@ -0,0 +1,74 @@
+'use strict';
+
+const { Parser } = require('./parser');
+
+/**
+ * Benchmark of the parsing speed on growing input.
+ *
+ * Run with `npm run bench`. Time per megabyte should stay roughly the same for every
+ * input size: the parsers advance by offsets within the source text so the total
+ * parsing time grows linearly with the input length.
+ */
+
+const SIZES = [1, 2, 4, 8].map(megabytes => megabytes * 1024 * 1024);
+
+const FRAGMENT = 'Lorem *ipsum* dolor "sit amet", [consectetur](adipiscing) elit.\n';
+
+const join = cs => cs.join('');
+
+const isWordChar = c => !' \n*"[]()'.includes(c);
+
+const cases = {
+    'item().many()': Parser.item().many(),
+
+    'sat().many() words': Parser
+        .sat(isWordChar).many(1).fmap(join)
+        .or(Parser.item())
+        .many(),
+
+    'quoted() / brackets()': Parser
+        .quoted('"')
+        .or(Parser.quoted('*'))
+        .or(Parser.brackets('[', ']'))
+        .or(Parser.brackets('(', ')'))
+        .or(Parser.item())
+        .many(),
+
+    'repeat()': Parser.repeat(
+        Parser.quoted('*').or(Parser.brackets('[', ']')),
+        text => text,
+        () => true
+    ),
+
+    // Conditions which get a copy of the unparsed text against the ones which look into the source
+    'many() with text condition': Parser.item().many(0, 0, text => text[0] != '\0'),
+
+    'many() with offset condition': Parser.item().many(0, 0, { at: (source, offset) => source[offset] != '\0' }),
+};
+
+const measure = (parser, text) => {
+    const start = process.hrtime.bigint();
+    const result = parser.parseText(text);
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+    if (!result || result.rest) {
+        throw new Error('Benchmark parser did not consume the whole text');
+    }
+
+    return elapsed;
+};
+
+for (const [name, parser] of Object.entries(cases)) {
+    console.log(name);
+
+    for (const size of SIZES) {
+        const text = FRAGMENT.repeat(Math.ceil(size / FRAGMENT.length));
+        const ms = measure(parser, text);
+        const megabytes = text.length / 1024 / 1024;
+
+        console.log(
+            `  ${megabytes.toFixed(1).padStart(5)} MB: ${ms.toFixed(0).padStart(6)} ms,`
+            + ` ${(ms / megabytes).toFixed(1).padStart(7)} ms/MB`
+        );
+    }
+}
@@ -0,0 +1,61 @@
+'use strict';
+
+const { expect } = require('chai');
+const { ParseError } = require('../parser');
+const { makeCsvParser, parseCsv } = require('./csv');
+
+describe('CSV grammar', () => {
+    it('records and fields', () => {
+        expect(parseCsv('a,b,c\r\n1,2,3\r\n')).to.deep.equal([['a', 'b', 'c'], ['1', '2', '3']]);
+        expect(parseCsv('a,b\n1,2')).to.deep.equal([['a', 'b'], ['1', '2']]);
+        expect(parseCsv(',\n,')).to.deep.equal([['', ''], ['', '']]);
+        expect(parseCsv('a\n""\nb')).to.deep.equal([['a'], [''], ['b']]);
+        expect(parseCsv('')).to.deep.equal([]);
+    });
+
+    it('blank lines', () => {
+        expect(parseCsv('a,b\n1,2\n\n')).to.deep.equal([['a', 'b'], ['1', '2']]);
+        expect(parseCsv('a,b\r\n\r\n1,2')).to.deep.equal([['a', 'b'], ['1', '2']]);
+        expect(parseCsv('a\n\nb')).to.deep.equal([['a'], ['b']]);
+        expect(parseCsv('\n\n', { header: true })).to.deep.equal([]);
+        expect(makeCsvParser().parseAll('\na\n\n').parsed).to.deep.equal([['a']]);
+        expect(() => parseCsv('a,b\n\n1,2,3')).to.throw(ParseError, 'expected end of row 2 at 3:4');
+    });
+
+    it('quoted fields', () => {
+        expect(parseCsv('"a ""b""",c')).to.deep.equal([['a "b"', 'c']]);
+        expect(parseCsv('"line\r\nbreak","x,y"\n"",')).to.deep.equal([['line\r\nbreak', 'x,y'], ['', '']]);
+    });
+
+    it('dialect', () => {
+        expect(parseCsv('a\tb\n1\t2', { delimiter: '\t' })).to.deep.equal([['a', 'b'], ['1', '2']]);
+        expect(parseCsv("a;'x;''y'''|1;2", { delimiter: ';', quote: "'", lineTerminator: '|' }))
+            .to.deep.equal([['a', "x;'y'"], ['1', '2']]);
+        expect(parseCsv('a::b\n', { delimiter: '::', lineTerminator: '\n' })).to.deep.equal([['a', 'b']]);
+        expect(() => parseCsv('a', { delimiter: '' })).to.throw(Error, 'must not be empty');
+    });
+
+    it('header', () => {
+        expect(parseCsv('name,note\nBob,"says ""hi"",\nthen leaves"\n', { header: true })).to.deep.equal([
+            { name: 'Bob', note: 'says "hi",\nthen leaves' },
+        ]);
+        expect(parseCsv('1,2\n3,4', { header: ['x', 'y'] })).to.deep.equal([{ x: '1', y: '2' }, { x: '3', y: '4' }]);
+        expect(parseCsv('', { header: true })).to.deep.equal([]);
+    });
+
+    it('malformed rows', () => {
+        expect(() => parseCsv('a,b\n1,2,3')).to.throw(ParseError, 'expected end of row 2 at 2:4');
+        expect(() => parseCsv('a,b\n1,2,3')).to.throw(ParseError).with.property('expected').that.deep.equals(['end of row 2']);
+        expect(() => parseCsv('a,"b\nc"\n1')).to.throw(ParseError, 'expected field 2 of row 2 at 3:2');
+        expect(() => parseCsv('1,2', { header: ['x'] })).to.throw(ParseError, 'expected end of row 1 at 1:2');
+        expect(() => parseCsv('a,"b\n1,2')).to.throw(ParseError, 'expected closing quote at 2:4');
+        expect(() => parseCsv('a,"b"c')).to.throw(ParseError, 'at 1:6');
+        expect(() => parseCsv('a,b"c')).to.throw(ParseError, 'at 1:4');
+    });
+
+    it('makeCsvParser', () => {
+        const parser = makeCsvParser();
+
+        expect(parser.parseAll('a,b\n1').parsed).to.deep.equal([['a', 'b'], ['1']]);
+    });
+});
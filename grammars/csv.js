@@ -0,0 +1,124 @@
+'use strict';
+
+const { Parser, ParseError } = require('../parser');
+
+/**
+ * Delimited data grammar (RFC 4180) built from the parser combinators.
+ *
+ * ~~~js
+ * const { parseCsv } = require('@sundersb/parser-mini/grammars/csv');
+ *
+ * expect(parseCsv('name,note\r\nBob,"says ""hi"",\nthen leaves"\r\n', { header: true })).to.deep.equal([
+ *     { name: 'Bob', note: 'says "hi",\nthen leaves' },
+ * ]);
+ * expect(parseCsv('a\tb\n1\t2', { delimiter: '\t' })).to.deep.equal([['a', 'b'], ['1', '2']]);
+ * expect(parseCsv('a\n\n""\n')).to.deep.equal([['a'], ['']]);
+ * ~~~
+ */
+
+/**
+ * @typedef {object} CsvOptions Dialect of the delimited data
+ * @property {string} [delimiter] Field delimiter, `,` by default
+ * @property {string} [quote] Quote character, `"` by default. Quotes inside the quoted fields are doubled
+ * @property {string} [lineTerminator] Record terminator, CRLF, LF or CR by default
+ * @property {boolean|string[]} [header] Make objects of the records: `true` takes the keys from the first record
+ */
+
+/**
+ * Escape the text to match it literally in a regular expression
+ * @param {string} text Text to escape
+ * @returns {string}
+ */
+const escapeRegex = text => text.replace(/[\\^$.*+?()[\]{}|/-]/g, '\\$&');
+
+/**
+ * Make parser for the records with the located fields
+ * @param {CsvOptions} options Dialect
+ * @returns {Parser<any,{ value: string, start: import('../parser').Position, end: import('../parser').Position }[][]>}
+ */
+const makeRecords = options => {
+    const { delimiter = ',', quote = '"', lineTerminator } = options;
+
+    if (!delimiter || !quote || lineTerminator === '') {
+        throw new Error('Delimiter, quote and line terminator must not be empty');
+    }
+
+    const terminatorPattern = lineTerminator === undefined
+        ? '\\r\\n|\\n|\\r'
+        : escapeRegex(lineTerminator);
+
+    const separator = Parser.string(delimiter);
+    const terminator = Parser.regex(terminatorPattern).label('line break');
+
+    const quoted = Parser.string(quote).seq(
+        Parser.regex(`(?:(?!${escapeRegex(quote)})[^])+`)
+            .or(Parser.string(quote + quote).fmap(() => quote))
+            .many()
+    )
+        .pass(Parser.string(quote).label('closing quote'))
+        .fmap(parts => parts.join(''));
+
+    const plain = Parser.regex(`(?:(?!${escapeRegex(delimiter)}|${escapeRegex(quote)}|${terminatorPattern})[^])*`);
+
+    const record = quoted.or(plain).located().sepBy1(separator);
+
+    // Blank lines are not records, a single empty field is written quoted
+    return record.sepBy1(terminator)
+        .fmap(records => records.filter(fields => fields.length > 1 || fields[0].start.offset < fields[0].end.offset));
+};
+
+/**
+ * Make parser for delimited data
+ * @param {CsvOptions} [options] Dialect, the header is ignored
+ * @returns {Parser<any,string[][]>} Parser for the records as arrays of fields
+ * @description The parser does not check that the records have the same number of fields.
+ * Blank lines are skipped.
+ */
+const makeCsvParser = (options = {}) => makeRecords(options)
+    .fmap(records => records.map(fields => fields.map(field => field.value)));
+
+/**
+ * Parse delimited data
+ * @param {string} text Delimited data
+ * @param {CsvOptions} [options] Dialect
+ * @returns {string[][]|Record<string,string>[]} Records as arrays of fields, or objects keyed by the header
+ * @throws {ParseError} When the text is malformed or a record has another number of fields than the first one
+ * @description Blank lines are skipped, the rows are numbered without them.
+ * @example
+ * ~~~js
+ * expect(parseCsv('a,b\n1,2')).to.deep.equal([['a', 'b'], ['1', '2']]);
+ * expect(() => parseCsv('a,b\n1,2,3')).to.throw(ParseError, 'expected end of row 2 at 2:4');
+ * expect(() => parseCsv('a,"b\n1,2')).to.throw(ParseError, 'expected closing quote at 2:4');
+ * ~~~
+ */
+const parseCsv = (text, options = {}) => {
+    const records = makeRecords(options).parseAll(text).parsed;
+    const keys = Array.isArray(options.header) ? options.header : null;
+    const width = keys ? keys.length : records.length ? records[0].length : 0;
+
+    records.forEach((fields, index) => {
+        if (fields.length > width) {
+            const end = width ? fields[width - 1].end : fields[0].start;
+            throw new ParseError(end, [`end of row ${index + 1}`]);
+        }
+        if (fields.length < width) {
+            const end = fields[fields.length - 1].end;
+            throw new ParseError(end, [`field ${fields.length + 1} of row ${index + 1}`]);
+        }
+    });
+
+    const rows = records.map(fields => fields.map(field => field.value));
+
+    if (!options.header) {
+        return rows;
+    }
+
+    const [names, ...data] = keys ? [keys, ...rows] : rows;
+
+    return data.map(values => Object.fromEntries(names.map((name, index) => [name, values[index]])));
+};
+
+module.exports = {
+    makeCsvParser,
+    parseCsv,
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+const { expect } = require('chai');
+const { Parser, ParseError } = require('../parser');
+const { makeJsonParser, parseJson } = require('./json');
+
+describe('JSON grammar', () => {
+    // Named after the JSONTestSuite cases: y_ must be accepted, n_ must be rejected
+    const accepted = {
+        y_array_empty: '[]',
+        y_array_heterogeneous: '[null, 1, "1", {}]',
+        y_array_nested: '[[[[]]]]',
+        y_object_empty_key: '{"":0}',
+        y_object_duplicated_key: '{"a":"b","a":"c"}',
+        y_object_proto_key: '{"__proto__": {"polluted": true}}',
+        y_number_negative_zero: '[-0]',
+        y_number_real_capital_e_neg_exp: '[1E-2]',
+        y_number_real_fraction_exponent: '[123.456e+78]',
+        y_number_huge_exp: '[1.5e999]',
+        y_string_escapes: '["\\"\\\\\\/\\b\\f\\n\\r\\t"]',
+        y_string_unicode_escape: '["\\u0061\\u30af\\u30EA"]',
+        y_string_surrogates_U_1D11E: '["\\uD834\\uDd1e"]',
+        y_string_lone_surrogate: '["\\uDFAA"]',
+        y_string_utf8: '["€𝄞"]',
+        y_structure_whitespace: ' \t\r\n[ 1 ,\n2 ] \n',
+        y_structure_lonely_true: 'true',
+        y_structure_lonely_string: '"asd"',
+    };
+
+    const rejected = {
+        n_array_trailing_comma: '[1,]',
+        n_array_missing_value: '[,1]',
+        n_array_unclosed: '[1',
+        n_object_trailing_comma: '{"a":1,}',
+        n_object_unquoted_key: '{a:1}',
+        n_object_single_quote: "{'a':1}",
+        n_object_missing_colon: '{"a" 1}',
+        n_number_leading_zero: '[012]',
+        n_number_plus: '[+1]',
+        n_number_dot_start: '[.5]',
+        n_number_dot_end: '[1.]',
+        n_number_exp_missing: '[1e]',
+        n_number_hex: '[0x1]',
+        n_number_infinity: '[Infinity]',
+        n_string_control_character: '["a\u0001"]',
+        n_string_raw_newline: '["a\nb"]',
+        n_string_invalid_escape: '["\\x00"]',
+        n_string_short_unicode: '["\\u12"]',
+        n_structure_comment: '[1 /* comment */]',
+        n_structure_two_values: '[] []',
+        n_structure_empty: '',
+        n_literal_capital: '[True]',
+    };
+
+    Object.entries(accepted).forEach(([name, text]) => {
+        it(name, () => {
+            expect(parseJson(text)).to.deep.equal(JSON.parse(text));
+        });
+    });
+
+    Object.entries(rejected).forEach(([name, text]) => {
+        it(name, () => {
+            expect(() => JSON.parse(text)).to.throw(SyntaxError);
+            expect(() => parseJson(text)).to.throw(ParseError);
+        });
+    });
+
+    it('decoded values', () => {
+        expect(parseJson('"\\ud83d\\ude00"')).to.equal('😀');
+        expect(Object.keys(parseJson('{"__proto__": 1}'))).to.deep.equal(['__proto__']);
+        expect(parseJson('{"a": 1, "a": 2}')).to.deep.equal({ a: 2 });
+    });
+
+    it('error positions', () => {
+        expect(() => parseJson('[1, 2,]')).to.throw(ParseError, 'expected value at 1:7');
+        expect(() => parseJson('{\n  "a" 1\n}')).to.throw(ParseError, 'expected \':\' at 2:7');
+        expect(() => parseJson('"a\\x"')).to.throw(ParseError, 'expected escape sequence at 1:4');
+        expect(() => parseJson('[1] 2')).to.throw(ParseError, 'at 1:5');
+    });
+
+    it('nesting depth', () => {
+        const nested = depth => '['.repeat(depth) + ']'.repeat(depth);
+
+        expect(parseJson(nested(256))).to.be.an('array');
+        expect(() => parseJson(nested(257))).to.throw(ParseError, 'expected nesting no deeper than 256 at 1:257');
+        expect(() => parseJson(nested(3), { maxDepth: 2 })).to.throw(ParseError, 'expected nesting no deeper than 2 at 1:3');
+        expect(() => parseJson('{"a": [{"b": []}]}', { maxDepth: 3 }))
+            .to.throw(ParseError, /^expected nesting no deeper than 3 at 1:14$/);
+        expect(parseJson(nested(300), { maxDepth: 300 })).to.be.an('array');
+        expect(parseJson('1', { maxDepth: 0 })).to.equal(1);
+        expect(() => parseJson('[]', { maxDepth: 0 })).to.throw(ParseError, 'expected nesting no deeper than 0 at 1:1');
+
+        const fallback = makeJsonParser({ maxDepth: 1 }).or(Parser.regex(/[^]*/));
+
+        expect(() => fallback.parseAll('[[]]')).to.throw(ParseError, 'expected nesting no deeper than 1 at 1:2');
+    });
+
+    it('comments', () => {
+        const text = '// list\n[1, /* two */ 2 // end\n]';
+
+        expect(parseJson(text, { comments: true })).to.deep.equal([1, 2]);
+        expect(() => parseJson(text)).to.throw(ParseError, 'at 1:1');
+        expect(() => parseJson('[1 /* unclosed ]', { comments: true })).to.throw(ParseError, 'at 1:4');
+    });
+
+    it('trailing commas', () => {
+        const options = { trailingCommas: true };
+
+        expect(parseJson('[1, 2,]', options)).to.deep.equal([1, 2]);
+        expect(parseJson('{"a": [], }', options)).to.deep.equal({ a: [] });
+        expect(() => parseJson('[,]', options)).to.throw(ParseError, 'at 1:2');
+        expect(() => parseJson('[1,,]', options)).to.throw(ParseError, 'at 1:4');
+    });
+
+    it('makeJsonParser', () => {
+        const parser = makeJsonParser();
+
+        expect(parser.parseText(' {"a": 1} rest')).to.deep.equal({ parsed: { a: 1 }, rest: 'rest' });
+        expect(parser.parseText('[[1], {"a": []}]', { state: 'outer' }).state).to.equal('outer');
+    });
+});
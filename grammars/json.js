@@ -0,0 +1,187 @@
+'use strict';
+
+const { Parser } = require('../parser');
+
+/**
+ * JSON grammar (RFC 8259) built from the parser combinators.
+ *
+ * ~~~js
+ * const { parseJson } = require('@sundersb/parser-mini/grammars/json');
+ *
+ * expect(parseJson('{"a": [1, 2.5e1, "\\u00e9"]}')).to.deep.equal({ a: [1, 25, 'é'] });
+ * expect(parseJson('[1, // two\n 2,]', { comments: true, trailingCommas: true })).to.deep.equal([1, 2]);
+ * ~~~
+ */
+
+/**
+ * @typedef {object} JsonOptions Extensions of the strict JSON syntax
+ * @property {boolean} [comments] Allow JSON5 line (`//`) and block comments wherever whitespace is allowed
+ * @property {boolean} [trailingCommas] Allow a comma after the last array element or object member
+ * @property {number} [maxDepth] Maximum nesting of arrays and objects, 256 by default
+ */
+
+const ESCAPES = {
+    '"': '"',
+    '\\': '\\',
+    '/': '/',
+    b: '\b',
+    f: '\f',
+    n: '\n',
+    r: '\r',
+    t: '\t',
+};
+
+const DEFAULT_MAX_DEPTH = 256;
+
+/** Unescaped characters of a string: anything but the quote, backslash and control characters */
+const unescaped = Parser.regex(/[^"\\\u0000-\u001f]+/);
+
+/** Escape sequence, the surrogate pairs of `\uXXXX` are decoded to the astral characters */
+const escaped = Parser.char('\\').seq(
+    Parser.regex(/[\\"\/bfnrt]/).fmap(c => ESCAPES[c])
+        .or(Parser.regex(/u([0-9a-fA-F]{4})/, 1).fmap(hex => String.fromCharCode(parseInt(hex, 16))))
+        .label('escape sequence')
+);
+
+const string = Parser.char('"')
+    .seq(unescaped.or(escaped).many())
+    .pass(Parser.char('"'))
+    .fmap(parts => parts.join(''))
+    .label('string');
+
+const number = Parser.regex(/-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/)
+    .fmap(Number)
+    .label('number');
+
+const literal = Parser.string('true').fmap(() => true)
+    .or(Parser.string('false').fmap(() => false))
+    .or(Parser.string('null').fmap(() => null));
+
+/**
+ * Make object out of the members the way `JSON.parse` does: later duplicates win,
+ * and `__proto__` is an own property
+ * @param {{ key: string, value: any }[]} members Object members
+ * @returns {object}
+ */
+const toObject = members => {
+    const result = {};
+
+    members.forEach(({ key, value }) => {
+        Object.defineProperty(result, key, { value, writable: true, enumerable: true, configurable: true });
+    });
+
+    return result;
+};
+
+/**
+ * Nesting depth of arrays and objects, kept in the user state while they are parsed
+ */
+class Nesting {
+    /**
+     * @param {any} outer State of the enclosing value, restored after the nested one
+     */
+    constructor(outer) {
+        this.outer = outer;
+        this.depth = outer instanceof Nesting ? outer.depth + 1 : 1;
+    }
+}
+
+/**
+ * Get maximum nesting of the options
+ * @param {JsonOptions} options Syntax extensions
+ * @returns {number}
+ */
+const maxDepthOf = options => options.maxDepth === undefined
+    ? DEFAULT_MAX_DEPTH
+    : options.maxDepth;
+
+/**
+ * Make parser for JSON text
+ * @param {JsonOptions} [options] Syntax extensions
+ * @returns {Parser<any,any>} Parser for a value surrounded with optional whitespace
+ * @description The parser does not require the end of input, so it may be a part of other grammars.
+ * Nesting deeper than `maxDepth` fails as a committed failure: the alternatives of the enclosing parsers
+ * are not tried. The depth is counted in the user state, which is restored after the outermost array or object.
+ */
+const makeJsonParser = (options = {}) => {
+    const maxDepth = maxDepthOf(options);
+
+    const space = options.comments
+        ? Parser.regex(/(?:[ \t\n\r]+|\/\/[^\n]*|\/\*[^]*?\*\/)*/)
+        : Parser.regex(/[ \t\n\r]*/);
+
+    const token = parser => parser.pass(space);
+    const symbol = c => token(Parser.char(c));
+
+    const comma = symbol(',');
+
+    const trailingComma = options.trailingCommas
+        ? comma.optional()
+        : Parser.result(null);
+
+    /**
+     * Make parser for the comma-separated elements between the brackets
+     * @param {string} open Opening bracket
+     * @param {Parser<any,any>} element Parser for an element
+     * @param {string} close Closing bracket
+     * @returns {Parser<any,any[]>}
+     */
+    const list = (open, element, close) => symbol(open)
+        .seq(element.sepBy1(comma).pass(trailingComma).default([]))
+        .pass(symbol(close));
+
+    const value = Parser.lazy(() => container.or(scalar).label('value'));
+
+    const scalar = token(string.or(number).or(literal));
+
+    const member = Parser.record({
+        key: token(string),
+        value: symbol(':').seq(value),
+    });
+
+    // Too deep nesting is fatal rather than a failed alternative, so that the error tells about it
+    const allowed = Parser.result(null);
+    const tooDeep = allowed.commit().seq(Parser.zero().label(`nesting no deeper than ${maxDepth}`));
+
+    const descend = Parser.regex(/[[{]/).lookahead()
+        .seq(Parser.setState(state => new Nesting(state)))
+        .seq(Parser.withState(state => state.depth > maxDepth ? tooDeep : allowed));
+
+    const ascend = Parser.setState(state => state.outer);
+
+    const container = descend
+        .seq(list('{', member, '}').fmap(toObject).or(list('[', value, ']')))
+        .pass(ascend);
+
+    return space.seq(value);
+};
+
+/** @type {Map<string,Parser<any,any>>} */
+const parsers = new Map();
+
+/**
+ * Parse JSON text
+ * @param {string} text JSON text
+ * @param {JsonOptions} [options] Syntax extensions
+ * @returns {any} Parsed value
+ * @throws {ParseError} When the text is malformed
+ * @example
+ * ~~~js
+ * expect(parseJson('{"a": [1, 2]}')).to.deep.equal({ a: [1, 2] });
+ * expect(() => parseJson('[1, 2,]')).to.throw(ParseError, 'expected value at 1:7');
+ * ~~~
+ */
+const parseJson = (text, options = {}) => {
+    const key = JSON.stringify([Boolean(options.comments), Boolean(options.trailingCommas), maxDepthOf(options)]);
+
+    if (!parsers.has(key)) {
+        parsers.set(key, makeJsonParser(options));
+    }
+
+    return parsers.get(key).parseAll(text).parsed;
+};
+
+module.exports = {
+    makeJsonParser,
+    parseJson,
+};
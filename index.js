@@ -1,5 +1,7 @@
 'use strict';
 
-const { Parser } = require('./parser');
+const { Parser, ParseError, TraceNode } = require('./parser');
 
 module.exports = Parser;
+module.exports.ParseError = ParseError;
+module.exports.TraceNode = TraceNode;
@@ -1,7 +1,7 @@
 'use strict';
 
 const { expect } = require('chai');
-const { Parser } = require('./parser');
+const { Parser, ParseError, TraceNode } = require('./parser');
 
 describe('Parser', () => {
     it('result', () => {
@@ -56,6 +56,72 @@ describe('Parser', () => {
         expect(parser.parseText(' line')).to.be.undefined;
     });
 
+    it('ignoreCase', () => {
+        expect(Parser.string('select', { ignoreCase: true }).parseText('SeLeCt *')).to.deep.equal({ parsed: 'select', rest: ' *' });
+        expect(Parser.string('привет', { ignoreCase: true }).parseText('ПРИВЕТ').parsed).to.equal('привет');
+        expect(Parser.string('όσος', { ignoreCase: true }).parseText('ΌΣΟΣ').parsed).to.equal('όσος');
+        expect(Parser.string('ab', { ignoreCase: true }).parseText('ac')).to.be.undefined;
+        expect(() => Parser.string('Ab', { ignoreCase: true }).parseAll('x')).to.throw(ParseError, "expected 'Ab' at 1:1");
+
+        expect(Parser.char('ж', { ignoreCase: true }).parseText('Жук')).to.deep.equal({ parsed: 'ж', rest: 'ук' });
+        expect(Parser.char('x', { ignoreCase: true }).parseText('y')).to.be.undefined;
+    });
+
+    it('oneOf', () => {
+        const keywords = ['in', 'int', 'interface', 'if'];
+        const keyword = Parser.oneOf(keywords);
+
+        expect(keyword.parseText('interfaces')).to.deep.equal({ parsed: 'interface', rest: 's' });
+        expect(keyword.parseText('inter')).to.deep.equal({ parsed: 'int', rest: 'er' });
+        expect(Parser.oneOf(keywords, { longest: false }).parseText('interface').parsed).to.equal('in');
+        expect(Parser.oneOf(['int', 'in'], { longest: false }).parseText('interface').parsed).to.equal('int');
+        expect(() => keyword.parseAll('x')).to.throw(ParseError, "expected 'in', 'int', 'interface' or 'if' at 1:1");
+
+        const word = Parser.oneOf(keywords, { wordBoundary: true });
+
+        expect(word.parseText('int x')).to.deep.equal({ parsed: 'int', rest: ' x' });
+        expect(word.parseText('in(')).to.deep.equal({ parsed: 'in', rest: '(' });
+        expect(word.parseText('into')).to.be.undefined;
+        expect(word.parseText('intй')).to.be.undefined;
+        expect(word.parseText('if')).to.deep.equal({ parsed: 'if', rest: '' });
+
+        const entity = Parser.oneOf(['Москва', 'Санкт-Петербург', '東京'], { ignoreCase: true });
+
+        expect(entity.parseText('САНКТ-ПЕТЕРБУРГ!').parsed).to.equal('Санкт-Петербург');
+        expect(entity.parseText('東京').parsed).to.equal('東京');
+
+        const many = Array.from({ length: 1000 }, (_, index) => `name${index}`);
+
+        expect(Parser.oneOf(many).parseText('name999;')).to.deep.equal({ parsed: 'name999', rest: ';' });
+        expect(Parser.oneOf([]).parseText('a')).to.be.undefined;
+    });
+
+    it('oneOf in streams', () => {
+        const feeder = Parser.oneOf(['in', 'int'], { wordBoundary: true }).pass(Parser.char(' ')).createFeeder();
+
+        expect(feeder.push('i')).to.deep.equal([]);
+        expect(feeder.push('n')).to.deep.equal([]);
+        expect(feeder.push('t in ')).to.deep.equal(['int', 'in']);
+        expect(feeder.end()).to.deep.equal([]);
+    });
+
+    it('regex', () => {
+        const parser = Parser.regex(/\d+/);
+
+        expect(parser.parseText('123abc')).to.deep.equal({ parsed: '123', rest: 'abc' });
+        expect(parser.parseText('abc123')).to.be.undefined;
+        expect(Parser.string('abc').seq(parser).parseText('abc123')).to.deep.equal({ parsed: '123', rest: '' });
+
+        expect(Parser.regex(/(\w+)\s*=/, 1).parseText('key = value')).to.deep.equal({ parsed: 'key', rest: ' value' });
+        expect(Parser.regex(/(?<key>\w+)\s*=/, 'key').parseText('key= value')).to.deep.equal({ parsed: 'key', rest: ' value' });
+        expect(Parser.regex(/[а-я]+/gi).parseText('ПоЛе!')).to.deep.equal({ parsed: 'ПоЛе', rest: '!' });
+
+        expect(() => parser.parseAll('x')).to.throw(ParseError, 'expected /\\d+/ at 1:1');
+        expect(() => Parser.regex(/a*/).many().parseText('aab')).to.throw(Error, 'without consuming');
+        expect(() => Parser.regex(/\d+/, 'digits')).to.throw(TypeError, 'has no capture group "digits"');
+        expect(() => Parser.regex(/(\d+)/, 2)).to.throw(TypeError, 'has no capture group 2');
+    });
+
     it('peek', () => {
         const hasSquirrel = text => text && text.includes('squirrel');
 
@@ -63,6 +129,11 @@ describe('Parser', () => {
 
         expect(parser.parseText('many squirrels hide in the wood')).to.deep.equal({ rest: 'many squirrels hide in the wood' });
         expect(parser.parseText('but beware bears')).to.be.undefined;
+
+        const atSquirrel = Parser.peek({ at: (source, offset) => source.startsWith('squirrel', offset) });
+
+        expect(Parser.string('many ').pass(atSquirrel).parseText('many squirrels')).to.deep.equal({ parsed: 'many ', rest: 'squirrels' });
+        expect(Parser.string('but ').pass(atSquirrel).parseText('but bears')).to.be.undefined;
     });
 
     it('all', () => {
@@ -98,6 +169,32 @@ describe('Parser', () => {
         expect(parser.parseText('no brackets')).to.be.undefined;
     });
 
+    it('quoted with escapes', () => {
+        const parser = Parser.quoted('"', { escape: '\\' });
+
+        expect(parser.parseText('"say \\"hi\\"\\n" rest')).to.deep.equal({ parsed: 'say "hi"\n', rest: ' rest' });
+        expect(parser.parseText('"\\u0041\\x42\\u{1F600}\\q\\\\"').parsed).to.equal('AB😀q\\');
+        expect(Parser.quoted('"', { escape: '\\', decode: false }).parseText('"a\\"b\\n"').parsed).to.equal('a\\"b\\n');
+        expect(() => parser.parseAll('"open\\"')).to.throw(ParseError, 'expected \'"\' at 1:8');
+
+        const sqlParser = Parser.quoted("'", { escape: "'" });
+
+        expect(sqlParser.parseText("'it''s' ''").parsed).to.equal("it's");
+        expect(sqlParser.parseText("''''").parsed).to.equal("'");
+        expect(Parser.quoted('"""', { escape: '\\' }).parseText('"""a\\"""b"""').parsed).to.equal('a"""b');
+    });
+
+    it('brackets with escapes and opaque regions', () => {
+        const parser = Parser.brackets('{{', '}}', { escape: '\\', opaque: ['"', ['`', '`']] });
+
+        expect(parser.parseText('{{ f("}}", {{x}}) }} rest')).to.deep.equal({ parsed: ' f("}}", {{x}}) ', rest: ' rest' });
+        expect(parser.parseText('{{ a \\}} `}}` "\\"}}" }}').parsed).to.equal(' a \\}} `}}` "\\"}}" ');
+        expect(parser.parseText('{ a }')).to.be.undefined;
+        expect(() => parser.parseAll('{{ "open }}')).to.throw(ParseError, 'expected \'"\' at 1:12');
+        expect(() => parser.parseAll('{{ a \\}}')).to.throw(ParseError, 'expected \'}}\' at 1:9');
+        expect(Parser.brackets('(', ')', { escape: '\\' }).parseText('(\\()').parsed).to.equal('\\(');
+    });
+
     it('repeat', () => {
         const notHoho = text => !text.startsWith('hoho');
         const twos = Parser.char('2').many(1).fmap(() => 'twos');
@@ -106,6 +203,132 @@ describe('Parser', () => {
         const parser = Parser.repeat(twos, fromText, notHoho);
 
         expect(parser.parseText('222olala552233hoho!')).to.deep.equal({ parsed: ['twos', '?', 'twos', '?'], rest: 'hoho!' });
+
+        const atHoho = { at: (source, offset) => !source.startsWith('hoho', offset) };
+
+        expect(Parser.repeat(twos, fromText, atHoho).parseText('222olala552233hoho!')).to.deep.equal({ parsed: ['twos', '?', 'twos', '?'], rest: 'hoho!' });
+    });
+
+    it('lazy', () => {
+        const listParser = Parser.char('(')
+            .seq(Parser.lazy(() => elementParser).many())
+            .pass(Parser.char(')'));
+
+        const elementParser = Parser.char(' ').many()
+            .seq(listParser.or(Parser.regex(/\w+/)));
+
+        expect(listParser.parseText('(a (b (c)) d)!')).to.deep.equal({ parsed: ['a', ['b', ['c']], 'd'], rest: '!' });
+        expect(listParser.parseText('(a (b d)')).to.be.undefined;
+    });
+
+    it('grammar', () => {
+        const { list } = Parser.grammar({
+            list: r => Parser.char('(').seq(r.element.many()).pass(Parser.char(')')),
+            element: r => r.spaces.seq(r.list.or(r.word)),
+            word: () => Parser.regex(/\w+/),
+            spaces: () => Parser.char(' ').many(),
+        });
+
+        expect(list.parseText('(a (b c) d)').parsed).to.deep.equal(['a', ['b', 'c'], 'd']);
+
+        expect(() => Parser.grammar({
+            list: r => Parser.char('(').seq(r.elements).pass(Parser.char(')')),
+            element: () => Parser.item(),
+        })).to.throw(Error, 'Grammar rule "elements" is not defined');
+
+        expect(() => Parser.grammar({
+            list: r => Parser.char('(').seq(r.toString).pass(Parser.char(')')),
+        })).to.throw(Error, 'Grammar rule "toString" is not defined');
+
+        const builtins = Parser.grammar({
+            start: r => r['__proto__'].many(1),
+            ['__proto__']: r => r.constructor,
+            constructor: () => Parser.char('a'),
+        });
+
+        expect(builtins.start.parseText('aa').parsed).to.deep.equal(['a', 'a']);
+        expect(Object.keys(builtins)).to.deep.equal(['start', '__proto__', 'constructor']);
+
+        expect(() => Parser.grammar({ rule: () => 'text' })).to.throw(TypeError, 'Grammar rule "rule" should make a Parser');
+    });
+
+    describe('expression', () => {
+        const spaces = Parser.char(' ').many();
+        const token = text => spaces.seq(Parser.string(text)).pass(spaces);
+        const number = spaces.seq(Parser.regex(/\d+/).fmap(Number)).pass(spaces);
+
+        const arithmetic = Parser.expression(
+            number.or(Parser.lazy(() => token('(').seq(arithmetic).pass(token(')')))),
+            [
+                [{ type: 'postfix', operator: '!', build: x => x <= 1 ? 1 : x * (x - 1) }],
+                [{ type: 'prefix', operator: token('-'), build: x => -x }],
+                [{ assoc: 'right', operator: token('^'), build: (a, b) => a ** b }],
+                [
+                    { operator: token('*'), build: (a, b) => a * b },
+                    { operator: token('/'), build: (a, b) => a / b },
+                ],
+                [
+                    { operator: token('+'), build: (a, b) => a + b },
+                    { operator: token('-'), build: (a, b) => a - b },
+                ],
+                [{ assoc: 'none', operator: token('<'), build: (a, b) => a < b }],
+            ]
+        );
+
+        it('precedence', () => {
+            expect(arithmetic.parseAll('1 + 2 * 3').parsed).to.equal(7);
+            expect(arithmetic.parseAll('(1 + 2) * 3').parsed).to.equal(9);
+            expect(arithmetic.parseAll('- 2 ^ 2').parsed).to.equal(4);
+            expect(arithmetic.parseAll('3! + 1').parsed).to.equal(7);
+        });
+
+        it('associativity', () => {
+            expect(arithmetic.parseAll('8 - 3 - 2').parsed).to.equal(3);
+            expect(arithmetic.parseAll('2 ^ 3 ^ 2').parsed).to.equal(512);
+            expect(arithmetic.parseAll('1 < 2').parsed).to.equal(true);
+            expect(arithmetic.parseText('1 < 2 < 3')).to.deep.equal({ parsed: true, rest: '< 3' });
+        });
+
+        it('prefix repeats', () => {
+            const not = Parser.expression(
+                Parser.regex(/[a-z]/),
+                [[{ type: 'prefix', operator: '!', build: x => ({ not: x }) }]]
+            );
+
+            expect(not.parseAll('!!a').parsed).to.deep.equal({ not: { not: 'a' } });
+        });
+
+        it('boolean', () => {
+            const logic = Parser.expression(
+                spaces.seq(Parser.regex(/\w+/).label('identifier')).pass(spaces)
+                    .or(Parser.lazy(() => token('(').seq(logic).pass(token(')')))),
+                [
+                    [{ type: 'prefix', operator: token('!'), build: x => ({ not: x }) }],
+                    [{ operator: token('&&'), build: (a, b) => ({ and: [a, b] }) }],
+                    [{ operator: token('||'), build: (a, b) => ({ or: [a, b] }) }],
+                ]
+            );
+
+            expect(logic.parseAll('a && (b || !c)').parsed).to.deep.equal({
+                and: ['a', { or: ['b', { not: 'c' }] }],
+            });
+
+            expect(() => logic.parseAll('a && (b ||)')).to.throw(ParseError, "expected ' ', '!', identifier or '(' at 1:11");
+        });
+
+        it('operators which consume nothing', () => {
+            const optionalSign = Parser.expression(number, [
+                [{ type: 'prefix', operator: Parser.char('-').optional(), build: x => x }],
+            ]);
+
+            expect(() => optionalSign.parseText('1')).to.throw(Error, 'Prefix operator of Parser.expression() has succeeded without consuming any text');
+
+            const optionalBang = Parser.expression(number, [
+                [{ type: 'postfix', operator: Parser.char('!').optional(), build: x => x }],
+            ]);
+
+            expect(() => optionalBang.parseText('1')).to.throw(Error, 'Postfix operator of Parser.expression() has succeeded without consuming any text');
+        });
     });
 
     it('save', () => {
@@ -134,6 +357,52 @@ describe('Parser', () => {
         expect(parser.parseText('AliceBobPete')).to.deep.equal(expected);
     });
 
+    it('bind does not mutate', () => {
+        const kind = Parser.result({ kind: 'greeting' });
+        const parser = kind.bind(Parser.string('hi').save('text')).or(kind.bind(Parser.string('bye').save('farewell')));
+
+        expect(parser.parseText('hi').parsed).to.deep.equal({ kind: 'greeting', text: 'hi' });
+        expect(parser.parseText('bye').parsed).to.deep.equal({ kind: 'greeting', farewell: 'bye' });
+        expect(kind.parseText('').parsed).to.deep.equal({ kind: 'greeting' });
+
+        expect(() => Parser.string('a').bind(Parser.string('b').save('b')).parseText('ab'))
+            .to.throw(TypeError, 'Left parser of bind() should return an object, got string');
+        expect(() => Parser.string('a').save('a').bind(Parser.string('b').many()).parseText('ab'))
+            .to.throw(TypeError, 'Right parser of bind() should return an object, got array');
+    });
+
+    it('record', () => {
+        const parser = Parser.record({
+            name: Parser.regex(/\w+/),
+            value: Parser.string(' = ').seq(Parser.regex(/\d+/)).fmap(Number),
+        });
+
+        expect(parser.parseText('x = 42;')).to.deep.equal({ parsed: { name: 'x', value: 42 }, rest: ';' });
+        expect(parser.parseText('x =')).to.be.undefined;
+        expect(parser.parseText('a = 1').parsed).to.not.equal(parser.parseText('a = 1').parsed);
+
+        expect(() => Parser.record(null)).to.throw(TypeError, 'Parser.record() expects an object of parsers, got null');
+        expect(() => Parser.record({ name: /\w+/ })).to.throw(TypeError, 'expects a parser for "name", got object');
+    });
+
+    it('sequence', () => {
+        const heading = Parser.sequence([
+            Parser.char('#').many(1).fmap(cs => cs.length).save('level'),
+            Parser.record({ space: Parser.char(' '), content: Parser.regex(/[^\n]+/) }),
+        ]);
+
+        expect(heading.parseText('## Title').parsed).to.deep.equal({ level: 2, space: ' ', content: 'Title' });
+        expect(heading.parseText('##Title')).to.be.undefined;
+
+        const duplicate = Parser.sequence([Parser.char('a').save('x'), Parser.char('b').save('x')]);
+
+        expect(() => duplicate.parseText('ab')).to.throw(Error, 'Parser at index 1 of Parser.sequence() returns duplicate key "x"');
+        expect(() => Parser.sequence([Parser.char('a')]).parseText('a'))
+            .to.throw(TypeError, 'Parser at index 0 of Parser.sequence() should return an object, got string');
+        expect(() => Parser.sequence([Parser.char('a'), 'b'])).to.throw(TypeError, 'expects a parser at index 1, got string');
+        expect(() => Parser.sequence('ab')).to.throw(TypeError, 'expects an array of parsers');
+    });
+
     it('bindInversed', () => {
         const firstWord = Parser.sat(c => c != ' ').many(1).fmap(cs => cs.join('')).save('word');
 
@@ -165,6 +434,29 @@ describe('Parser', () => {
         expect(parser.parseText('ignored PRISE rest')).to.deep.equal(expected);
     });
 
+    it('chain', () => {
+        const field = Parser.regex(/\d+/).pass(Parser.char(':'))
+            .chain(length => Parser.regex(`[^]{${length}}`));
+
+        expect(field.many().parseText('3:abc2:de1:')).to.deep.equal({ parsed: ['abc', 'de'], rest: '1:' });
+
+        const heredoc = Parser.regex(/<<(\w+)\n/, 1)
+            .chain(terminator => Parser.regex(`([^]*?)\n${terminator}(?:\n|$)`, 1))
+            .save('body');
+
+        expect(heredoc.parseText('<<END\nline\nEND or not\nEND\nrest').parsed).to.deep.equal({ body: 'line\nEND or not' });
+
+        const fence = Parser.regex(/`{3,}/).chain(ticks => Parser.string(ticks).not()
+            .seq(Parser.item()).many().fmap(cs => cs.join(''))
+            .pass(Parser.string(ticks)));
+        const block = fence.or(Parser.regex(/[^`]+/).fmap(text => ({ text })));
+
+        expect(block.many().parseText('````a ``` b````c').parsed).to.deep.equal(['a ``` b', { text: 'c' }]);
+        expect(fence.parseText('````a```')).to.be.undefined;
+
+        expect(() => Parser.item().chain(() => 'b').parseText('a')).to.throw(TypeError, 'should return a Parser');
+    });
+
     it('seqInversed', () => {
         const firstWord = Parser.sat(c => c != ' ').many(1).fmap(cs => cs.join(''));
 
@@ -221,6 +513,19 @@ describe('Parser', () => {
 
         expect(parser.parseText('sah-boo')).to.be.undefined;
         expect(parser.parseText('sahsah-boo')).to.be.undefined;
+
+        expect(Parser.item().many(0, 0, text => !text.startsWith('!')).parseText('ab!c')).to.deep.equal({ parsed: ['a', 'b'], rest: '!c' });
+        expect(Parser.item().many(0, 0, { at: (source, offset) => source[offset] != '!' }).parseText('ab!c')).to.deep.equal({ parsed: ['a', 'b'], rest: '!c' });
+
+        // Bounded repetition stops at an empty match
+        const optional = Parser.char('a').optional().many(1, 2);
+
+        expect(optional.parseText('a')).to.deep.equal({ parsed: ['a'], rest: '' });
+        expect(optional.parseText('ab')).to.deep.equal({ parsed: ['a'], rest: 'b' });
+        expect(optional.parseText('aab')).to.deep.equal({ parsed: ['a', 'a'], rest: 'b' });
+        expect(optional.parseText('b')).to.be.undefined;
+        expect(Parser.char('a').optional().many(0, 3).parseText('ab')).to.deep.equal({ parsed: ['a'], rest: 'b' });
+        expect(Parser.regex(/a*/).many(0, 5).parseText('aab')).to.deep.equal({ parsed: ['aa'], rest: 'b' });
     });
 
     it('fmap', () => {
@@ -233,6 +538,425 @@ describe('Parser', () => {
         expect(parser.parseText('31415 etc')).to.deep.equal({ parsed: { digitsCount: 5 }, rest: ' etc' });
     });
 
+    it('lookahead', () => {
+        const parser = Parser.regex(/\w+/).pass(Parser.char(':').lookahead());
+
+        expect(parser.parseText('key: value')).to.deep.equal({ parsed: 'key', rest: ': value' });
+        expect(parser.parseText('key value')).to.be.undefined;
+    });
+
+    it('not', () => {
+        const parser = Parser.regex(/\w+/).pass(Parser.char('(').not());
+
+        expect(parser.parseText('name + 1')).to.deep.equal({ parsed: 'name', rest: ' + 1' });
+        expect(parser.parseText('call()')).to.be.undefined;
+        expect(() => parser.parseAll('call()')).to.throw(ParseError, "unexpected '(' at 1:5");
+    });
+
+    it('optional', () => {
+        const parser = Parser.char('-').optional();
+
+        expect(parser.parseText('-5')).to.deep.equal({ parsed: '-', rest: '5' });
+        expect(parser.parseText('5')).to.deep.equal({ parsed: Parser.absent, rest: '5' });
+    });
+
+    it('between', () => {
+        const parser = Parser.regex(/\w+/).between(Parser.char('<'), Parser.char('>'));
+
+        expect(parser.parseText('<tag>rest')).to.deep.equal({ parsed: 'tag', rest: 'rest' });
+        expect(parser.parseText('<tag')).to.be.undefined;
+    });
+
+    it('sepBy', () => {
+        const parser = Parser.regex(/\w+/).sepBy(Parser.string(', '));
+
+        expect(parser.parseText('one, two, three')).to.deep.equal({ parsed: ['one', 'two', 'three'], rest: '' });
+        expect(parser.parseText('one, two, ')).to.deep.equal({ parsed: ['one', 'two'], rest: ', ' });
+        expect(parser.parseText('')).to.deep.equal({ parsed: [], rest: '' });
+
+        const bounded = Parser.regex(/\d/).sepBy(Parser.char(','), 2, 3);
+
+        expect(bounded.parseText('1')).to.be.undefined;
+        expect(bounded.parseText('1,2;')).to.deep.equal({ parsed: ['1', '2'], rest: ';' });
+        expect(bounded.parseText('1,2,3')).to.deep.equal({ parsed: ['1', '2', '3'], rest: '' });
+        expect(bounded.parseText('1,2,3,4')).to.be.undefined;
+
+        expect(() => bounded.parseAll('1')).to.throw(ParseError, "expected ',' at 1:2");
+        expect(() => bounded.parseAll('1,')).to.throw(ParseError, 'expected /\\d/ at 1:3');
+        expect(() => Parser.char('a').many(3).parseAll('aa')).to.throw(ParseError, "expected 'a' at 1:3");
+
+        let calls = 0;
+        let trace;
+        const counted = Parser.withState(() => {
+            ++calls;
+            return Parser.char('a');
+        }).label('letter');
+
+        expect(() => counted.many(3).parseAll('aa', { trace: node => { trace = node; } }))
+            .to.throw(ParseError, 'expected letter at 1:3');
+        expect(calls).to.equal(3);
+        expect(trace.toString()).to.equal([
+            '- (parse) 1:1',
+            '  + letter 1:1-1:2 "a"',
+            '  + letter 1:2-1:3 "a"',
+            '  - letter 1:3',
+        ].join('\n'));
+    });
+
+    it('sepBy1', () => {
+        const parser = Parser.regex(/\w+/).sepBy1(Parser.char(','));
+
+        expect(parser.parseText('a,b')).to.deep.equal({ parsed: ['a', 'b'], rest: '' });
+        expect(parser.parseText(',')).to.be.undefined;
+    });
+
+    it('endBy', () => {
+        const parser = Parser.regex(/[^;]+/).endBy(Parser.char(';'), 1);
+
+        expect(parser.parseText('a = 1;b = 2;c')).to.deep.equal({ parsed: ['a = 1', 'b = 2'], rest: 'c' });
+        expect(parser.parseText('a = 1')).to.be.undefined;
+    });
+
+    it('endBy1', () => {
+        const parser = Parser.regex(/[^;]+/).endBy1(Parser.char(';'));
+
+        expect(parser.parseText('a;b;')).to.deep.equal({ parsed: ['a', 'b'], rest: '' });
+        expect(parser.parseText('')).to.be.undefined;
+    });
+
+    it('static structural combinators', () => {
+        const digit = Parser.regex(/\d/);
+        const comma = Parser.char(',');
+
+        expect(Parser.sepBy(digit, comma).parseText('1,2').parsed).to.deep.equal(['1', '2']);
+        expect(Parser.sepBy1(digit, comma).parseText('')).to.be.undefined;
+        expect(Parser.endBy(digit, comma, 0, 1).parseText('1,2,')).to.be.undefined;
+        expect(Parser.endBy1(digit, comma).parseText('1,2,').parsed).to.deep.equal(['1', '2']);
+        expect(Parser.between(Parser.char('('), digit, Parser.char(')')).parseText('(1)').parsed).to.equal('1');
+        expect(Parser.optional(digit).parseText('x').parsed).to.equal(Parser.absent);
+
+        const number = digit.fmap(Number);
+
+        expect(Parser.chainl1(number, Parser.char('-').fmap(() => (a, b) => a - b)).parseText('8-3-2').parsed).to.equal(3);
+        expect(Parser.chainr1(number, Parser.char('^').fmap(() => (a, b) => a ** b)).parseText('2^3^2').parsed).to.equal(512);
+    });
+
+    it('chainl1', () => {
+        const minus = Parser.char('-').fmap(() => (a, b) => a - b);
+        const parser = Parser.regex(/\d+/).fmap(Number).chainl1(minus);
+
+        expect(parser.parseText('8-3-2')).to.deep.equal({ parsed: 3, rest: '' });
+        expect(parser.parseText('8-')).to.deep.equal({ parsed: 8, rest: '-' });
+        expect(parser.parseText('-')).to.be.undefined;
+    });
+
+    it('chainr1', () => {
+        const power = Parser.char('^').fmap(() => (a, b) => a ** b);
+        const parser = Parser.regex(/\d+/).fmap(Number).chainr1(power);
+
+        expect(parser.parseText('2^3^2')).to.deep.equal({ parsed: 512, rest: '' });
+        expect(parser.parseText('2')).to.deep.equal({ parsed: 2, rest: '' });
+    });
+
+    describe('memo', () => {
+        it('reuses results', () => {
+            let calls = 0;
+
+            const word = Parser.regex(/\w+/).fmap(text => {
+                ++calls;
+                return text;
+            }).memo();
+
+            const parser = word.pass(Parser.char('!'))
+                .or(word.pass(Parser.char('?')))
+                .or(word);
+
+            expect(parser.parseText('word?')).to.deep.equal({ parsed: 'word', rest: '' });
+            expect(calls).to.equal(1);
+
+            expect(parser.parseText('word.')).to.deep.equal({ parsed: 'word', rest: '.' });
+            expect(calls).to.equal(2);
+        });
+
+        it('reports reused failures', () => {
+            const word = Parser.regex(/[a-z]+/).label('word').memo();
+            const number = Parser.regex(/\d+/).label('number');
+
+            // not() forgets what the word expected the first time
+            const parser = word.not().seq(word).or(number.seq(word));
+
+            expect(() => parser.parseAll('!')).to.throw(ParseError, 'expected word or number at 1:1');
+            expect(() => parser.parseAll('1!')).to.throw(ParseError, 'expected word at 1:2');
+        });
+
+        it('direct left recursion', () => {
+            const { difference } = Parser.grammar({
+                difference: r => r.difference.save('left')
+                    .bind(Parser.char('-').seq(r.number).save('right'))
+                    .fmap(({ left, right }) => left - right)
+                    .or(r.number)
+                    .memo(),
+
+                number: () => Parser.regex(/\d+/).fmap(Number),
+            });
+
+            expect(difference.parseText('8-3-2')).to.deep.equal({ parsed: 3, rest: '' });
+            expect(difference.parseText('8-3-')).to.deep.equal({ parsed: 5, rest: '-' });
+            expect(difference.parseText('-')).to.be.undefined;
+        });
+
+        it('indirect left recursion', () => {
+            const makeGrammar = memoizeCall => Parser.grammar({
+                // expression = call | name
+                expression: r => r.call.or(r.name).memo(),
+
+                // call = expression '(' name ')'
+                call: r => {
+                    const call = r.expression.save('callee')
+                        .bind(Parser.char('(').seq(r.name).pass(Parser.char(')')).save('argument'))
+                        .fmap(({ callee, argument }) => ({ callee, argument }));
+
+                    return memoizeCall ? call.memo() : call;
+                },
+
+                name: () => Parser.regex(/[a-z]+/),
+            });
+
+            const expected = {
+                callee: { callee: 'f', argument: 'a' },
+                argument: 'b',
+            };
+
+            for (const memoizeCall of [false, true]) {
+                const { expression } = makeGrammar(memoizeCall);
+
+                expect(expression.parseText('f(a)(b)').parsed).to.deep.equal(expected);
+                expect(expression.parseText('f')).to.deep.equal({ parsed: 'f', rest: '' });
+            }
+
+            // Entering the cycle through a memoized rule grows that rule
+            const { call } = makeGrammar(true);
+
+            expect(call.parseText('f(a)(b)').parsed).to.deep.equal(expected);
+            expect(call.parseText('f')).to.be.undefined;
+        });
+    });
+
+    describe('streams', () => {
+        const lineParser = Parser.regex(/[^\n]+/).pass(Parser.char('\n'));
+
+        it('createFeeder', () => {
+            const feeder = lineParser.createFeeder();
+
+            expect(feeder.push('first\nsec')).to.deep.equal(['first']);
+            expect(feeder.push('ond')).to.deep.equal([]);
+            expect(feeder.push('\nthird\nfourth')).to.deep.equal(['second', 'third']);
+            expect(feeder.push('\n')).to.deep.equal(['fourth']);
+            expect(feeder.end()).to.deep.equal([]);
+            expect(() => feeder.push('more')).to.throw(Error, 'already ended');
+        });
+
+        it('suspends primitives', () => {
+            const itemParser = Parser.quoted('"')
+                .or(Parser.string('<br>'))
+                .or(Parser.brackets('(', ')'))
+                .pass(Parser.char(' ').many());
+
+            const feeder = itemParser.createFeeder();
+
+            expect(feeder.push('"one')).to.deep.equal([]);
+            expect(feeder.push(' two" (thr')).to.deep.equal(['one two']);
+            expect(feeder.push('ee (four)) <b')).to.deep.equal(['three (four)']);
+            expect(feeder.push('r>')).to.deep.equal([]);
+            expect(feeder.end()).to.deep.equal(['<br>']);
+        });
+
+        it('suspends doubled quotes', () => {
+            const feeder = Parser.quoted("'", { escape: "'" }).createFeeder();
+
+            expect(feeder.push("'it'")).to.deep.equal([]);
+            expect(feeder.push("'s'")).to.deep.equal([]);
+            expect(feeder.end()).to.deep.equal(["it's"]);
+        });
+
+        it('emits alternatives of regular expressions', () => {
+            const feeder = Parser.regex(/\d+/).or(Parser.regex(/[a-z]+/)).pass(Parser.char('\n')).createFeeder();
+
+            expect(feeder.push('abc\n')).to.deep.equal(['abc']);
+            expect(feeder.push('12\nxy\n')).to.deep.equal(['12', 'xy']);
+            expect(feeder.push('3')).to.deep.equal([]);
+            expect(feeder.push('4\n')).to.deep.equal(['34']);
+            expect(feeder.end()).to.deep.equal([]);
+        });
+
+        it('suspends regular expressions cut inside a token', () => {
+            const numberParser = Parser.regex(/\d+\.\d+/).pass(Parser.char(';'));
+            const feeder = numberParser.createFeeder();
+
+            expect(feeder.push('3.')).to.deep.equal([]);
+            expect(feeder.push('14;2')).to.deep.equal(['3.14']);
+            expect(feeder.push('.')).to.deep.equal([]);
+            expect(feeder.push('5;')).to.deep.equal(['2.5']);
+            expect(feeder.end()).to.deep.equal([]);
+
+            const lookaheadFeeder = Parser.regex(/\w+(?=\s*;)/).pass(Parser.regex(/\s*;/)).createFeeder();
+
+            expect(lookaheadFeeder.push('key  ')).to.deep.equal([]);
+            expect(lookaheadFeeder.push(';')).to.deep.equal(['key']);
+            expect(() => numberParser.createFeeder().push('3.x')).to.throw(ParseError, 'expected /\\d+\\.\\d+/ at 1:1');
+        });
+
+        it('long chunks', () => {
+            const feeder = lineParser.located().createFeeder();
+            const lines = feeder.push('line\n'.repeat(100000) + 'la');
+
+            expect(lines).to.have.length(100000);
+            expect(lines[99999].start).to.deep.equal({ offset: 499995, line: 100000, column: 1 });
+            expect(feeder.push('st\n')[0].start).to.deep.equal({ offset: 500000, line: 100001, column: 1 });
+        });
+
+        it('reports errors', () => {
+            const feeder = lineParser.located().createFeeder();
+
+            expect(feeder.push('one\ntwo\n')).to.deep.equal([
+                { value: 'one', start: { offset: 0, line: 1, column: 1 }, end: { offset: 4, line: 2, column: 1 } },
+                { value: 'two', start: { offset: 4, line: 2, column: 1 }, end: { offset: 8, line: 3, column: 1 } },
+            ]);
+            expect(feeder.push('thr')).to.deep.equal([]);
+            expect(() => feeder.end()).to.throw(ParseError, "expected '\\n' at 3:4");
+        });
+
+        it('parseStream', async () => {
+            const chunks = async function* () {
+                yield 'first\nsec';
+                yield Buffer.from('ond\nпр');
+                yield Buffer.from('ивет\n').subarray(0, 1);
+                yield Buffer.from('ивет\n').subarray(1);
+            };
+
+            const lines = [];
+
+            for await (const line of lineParser.parseStream(chunks())) {
+                lines.push(line);
+            }
+
+            expect(lines).to.deep.equal(['first', 'second', 'привет']);
+        });
+    });
+
+    describe('tokens', () => {
+        const lexer = Parser.lexer([
+            { type: 'keyword', pattern: /let|in/ },
+            { type: 'identifier', pattern: /[a-z]\w*/i },
+            { type: 'number', pattern: /\d+/, value: Number },
+            { type: 'operator', pattern: /[=+]/ },
+            { type: 'space', pattern: /\s+/, skip: true },
+            { type: 'comment', pattern: /#[^\n]*/, skip: true },
+        ]);
+
+        // let <identifier> = <number> (+ <number>)* in <identifier>
+        const letParser = Parser.token('keyword', 'let')
+            .seq(Parser.token('identifier').fmap(token => token.value).save('name'))
+            .bind(Parser.token('operator', '=')
+                .seq(Parser.token('number').fmap(token => token.value).sepBy1(Parser.token('operator', '+')))
+                .fmap(values => values.reduce((a, b) => a + b))
+                .save('value'))
+            .bind(Parser.token('keyword', 'in').seq(Parser.token('identifier').located()).save('body'));
+
+        it('lexer', () => {
+            const tokens = lexer.parseAll('let x = 12 # comment\nin letter').parsed;
+
+            expect(tokens.map(({ type, value }) => ({ type, value }))).to.deep.equal([
+                { type: 'keyword', value: 'let' },
+                { type: 'identifier', value: 'x' },
+                { type: 'operator', value: '=' },
+                { type: 'number', value: 12 },
+                { type: 'keyword', value: 'in' },
+                { type: 'identifier', value: 'letter' },
+            ]);
+
+            expect(tokens[4]).to.deep.equal({
+                type: 'keyword',
+                value: 'in',
+                text: 'in',
+                start: { offset: 21, line: 2, column: 1 },
+                end: { offset: 23, line: 2, column: 3 },
+            });
+
+            expect(() => lexer.parseAll('let x = 1;')).to.throw(ParseError, 'expected keyword, identifier, number, operator, space, comment or end of input at 1:10');
+        });
+
+        it('token', () => {
+            const tokens = lexer.parseAll('let x = 1 + 2 in\n  x').parsed;
+
+            const actual = letParser.parseText(tokens);
+
+            expect(actual.rest).to.deep.equal([]);
+            expect(actual.parsed.name).to.equal('x');
+            expect(actual.parsed.value).to.equal(3);
+            expect(actual.parsed.body.start).to.deep.equal({ offset: 19, line: 2, column: 3 });
+            expect(actual.parsed.body.end).to.deep.equal({ offset: 20, line: 2, column: 4 });
+        });
+
+        it('combinators over tokens', () => {
+            const tokens = lexer.parseAll('a b 1 c').parsed;
+
+            const parser = Parser.token('identifier').or(Parser.token('number'))
+                .fmap(token => token.value)
+                .many();
+
+            expect(parser.parseText(tokens).parsed).to.deep.equal(['a', 'b', 1, 'c']);
+            expect(Parser.item().many().parseText(['a', 'b']).parsed).to.deep.equal(['a', 'b']);
+            expect(Parser.string('a').parseText(tokens)).to.be.undefined;
+        });
+
+        it('errors', () => {
+            const tokens = lexer.parseAll('let x = 1 +\n in y').parsed;
+
+            expect(() => letParser.parseAll(tokens)).to.throw(ParseError, 'expected number at 2:2');
+            expect(() => letParser.parseAll(tokens.slice(0, 3))).to.throw(ParseError, 'expected number at 1:8');
+            expect(() => letParser.pass(Parser.end()).parseAll(tokens.slice(0, 2))).to.throw(ParseError, "expected '=' at 1:6");
+            expect(() => Parser.token('number').parseAll(tokens)).to.throw(ParseError, "expected number at 1:1");
+            expect(() => Parser.zero().parseAll(tokens)).to.throw(ParseError, "unexpected keyword 'let' at 1:1");
+        });
+    });
+
+    it('long input', () => {
+        const text = 'a "quoted" [bracketed] text '.repeat(100000);
+
+        const parser = Parser.quoted('"')
+            .or(Parser.brackets('[', ']'))
+            .or(Parser.item())
+            .many();
+
+        const actual = parser.parseText(text);
+
+        expect(actual.parsed).to.have.length(11 * 100000);
+        expect(actual.rest).to.equal('');
+    });
+
+    it('long input with conditions', () => {
+        const text = 'ab'.repeat(100000) + '!';
+        const notBang = { at: (source, offset) => source[offset] != '!' };
+
+        expect(Parser.item().many(0, 0, notBang).parseText(text).parsed).to.have.length(2 * 100000);
+        expect(Parser.repeat(Parser.char('a'), () => 'b', notBang).parseText(text).parsed).to.have.length(2 * 100000);
+    });
+
+    it('long input with escapes', () => {
+        const text = '"a\\"b" \'c\'\'d\' '.repeat(100000);
+
+        const parser = Parser.quoted('"', { escape: '\\' })
+            .or(Parser.quoted("'", { escape: "'" }))
+            .or(Parser.item())
+            .many();
+
+        const actual = parser.parseText(text);
+
+        expect(actual.parsed).to.have.length(4 * 100000);
+        expect(actual.parsed.slice(0, 4)).to.deep.equal(['a"b', ' ', "c'd", ' ']);
+    });
+
     it('default', () => {
         const isDigit = c => '0123456789'.includes(c);
 
@@ -244,4 +968,769 @@ describe('Parser', () => {
         expect(parser.parseText('12345 rest')).to.deep.equal({ parsed: 12345, rest: ' rest' });
         expect(parser.parseText('no digits')).to.deep.equal({ parsed: 50, rest: 'no digits' });
     });
+
+    describe('errors', () => {
+        const linkParser = Parser.brackets('[', ']')
+            .seq(Parser.brackets('(', ')'));
+
+        it('parseAll', () => {
+            expect(linkParser.parseAll('[text](href)')).to.deep.equal({ parsed: 'href', rest: '' });
+            expect(() => linkParser.parseAll('[text](href) rest')).to.throw(ParseError, 'expected end of input at 1:13');
+        });
+
+        it('furthest position', () => {
+            const parser = Parser.string('line\n').many().seq(linkParser);
+
+            let error;
+            try {
+                parser.parseAll('line\nline\n[text] (href)');
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.an.instanceOf(ParseError);
+            expect(error.message).to.equal("expected '(' at 3:7");
+            expect(error.offset).to.equal(16);
+            expect(error.line).to.equal(3);
+            expect(error.column).to.equal(7);
+            expect(error.expected).to.deep.equal(["'('"]);
+        });
+
+        it('expected set', () => {
+            const parser = Parser.char('[')
+                .seq(Parser.char(']').or(Parser.char('(')));
+
+            expect(() => parser.parseAll('[)')).to.throw(ParseError, "expected ']' or '(' at 1:2");
+        });
+
+        it('unclosed', () => {
+            expect(() => Parser.quoted('"').parseAll('"text')).to.throw(ParseError, `expected '"' at 1:6`);
+            expect(() => linkParser.parseAll('[text')).to.throw(ParseError, "expected ']' at 1:6");
+        });
+
+        it('unexpected', () => {
+            const isDigit = c => '0123456789'.includes(c);
+
+            expect(() => Parser.sat(isDigit).parseAll('x')).to.throw(ParseError, "unexpected 'x' at 1:1");
+            expect(() => Parser.sat(isDigit).many(2).parseAll('1')).to.throw(ParseError, 'unexpected end of input at 1:2');
+        });
+
+        it('label', () => {
+            const isDigit = c => '0123456789'.includes(c);
+            const number = Parser.sat(isDigit).many(1).label('number');
+            const parser = Parser.char('(').seq(number).pass(Parser.char(')'));
+
+            expect(() => parser.parseAll('(x)')).to.throw(ParseError, 'expected number at 1:2');
+            expect(() => parser.parseAll('(12x')).to.throw(ParseError, "expected ')' at 1:4");
+            expect(() => number.or(Parser.string('none')).parseAll('x')).to.throw(ParseError, "expected number or 'none' at 1:1");
+        });
+    });
+
+    describe('commit', () => {
+        const link = Parser.brackets('[', ']')
+            .pass(Parser.char('(')).commit()
+            .pass(Parser.regex(/[^)\s]+/).label('address'))
+            .pass(Parser.char(')'));
+        const text = Parser.regex(/[^[]+|\[/);
+
+        it('or', () => {
+            const parser = link.or(text).many();
+
+            expect(parser.parseText('[a](b) [c] (d)').parsed).to.deep.equal(['a', ' ', '[', 'c] (d)']);
+            expect(parser.parseText('[a](b) [c](d e)')).to.be.undefined;
+            expect(() => parser.parseAll('[a](b) [c](d e)')).to.throw(ParseError, "expected ')' at 1:13");
+            expect(() => parser.parseAll('[a](b) [c]( d)')).to.throw(ParseError, 'expected address at 1:12');
+        });
+
+        it('default and sepBy', () => {
+            expect(() => link.default('none').parseAll('[a](')).to.throw(ParseError, 'expected address at 1:5');
+            expect(link.default('none').parseText('[a]').parsed).to.equal('none');
+            expect(() => link.sepBy(Parser.char(',')).parseAll('[a](b),[c](')).to.throw(ParseError, 'expected address at 1:12');
+            expect(link.sepBy(Parser.char(',')).parseText('[a](b),x').parsed).to.deep.equal(['a']);
+        });
+
+        it('choice points after commit', () => {
+            const parser = Parser.char('!').commit()
+                .seq(Parser.string('ab').or(Parser.string('ac')))
+                .pass(Parser.char('.').many())
+                .pass(Parser.char(';').optional())
+                .or(Parser.regex(/.*/).fmap(() => 'other'));
+
+            expect(parser.parseText('!ac..').parsed).to.equal('ac');
+            expect(parser.parseText('ac').parsed).to.equal('other');
+            expect(() => parser.parseAll('!ad')).to.throw(ParseError, "expected 'ab' or 'ac' at 1:2");
+            expect(() => parser.parseAll('!ab;x')).to.throw(ParseError, 'expected end of input at 1:5');
+        });
+
+        it('passes through labels', () => {
+            const parser = Parser.char('[').commit()
+                .seq(Parser.string('ab').seq(Parser.char(')')).label('body'))
+                .or(Parser.regex(/.+/));
+
+            expect(parser.parseText('[abx')).to.be.undefined;
+            expect(() => parser.parseAll('[abx')).to.throw(ParseError, "expected ')' at 1:4");
+            expect(() => parser.parseAll('[x')).to.throw(ParseError, 'expected body at 1:2');
+            expect(parser.parseText('x').parsed).to.equal('x');
+        });
+
+        it('passes through choice points', () => {
+            const item = link.or(text);
+            const parser = item.pass(Parser.char(';')).or(item.pass(Parser.char(':')));
+
+            expect(parser.parseText('[:').parsed).to.equal('[');
+            expect(() => parser.parseAll('[a](b):')).to.throw(ParseError, "expected ';' at 1:7");
+            expect(() => Parser.char('[').commit().seq(Parser.char(']')).or(text).parseAll('[x')).to.throw(ParseError, "expected ']' at 1:2");
+        });
+
+        it('keeps all the expected items', () => {
+            const bang = Parser.char('!').commit();
+
+            expect(() => bang.seq(Parser.oneOf(['ab', 'cd'])).parseAll('!x')).to.throw(ParseError, "expected 'ab' or 'cd' at 1:2");
+            expect(() => bang.seq(Parser.string('ab', { ignoreCase: true })).parseAll('!x')).to.throw(ParseError, "expected 'ab' at 1:2");
+
+            const lexer = Parser.lexer([
+                { type: 'number', pattern: /\d+/ },
+                { type: 'word', pattern: /[a-z]+/ },
+            ]);
+
+            expect(() => bang.seq(lexer).parseAll('!1a!')).to.throw(ParseError, 'expected number, word or end of input at 1:4');
+            expect(bang.seq(lexer).parseText('!1a').parsed.map(token => token.type)).to.deep.equal(['number', 'word']);
+        });
+
+        it('memo and expression', () => {
+            const memoized = link.memo();
+
+            expect(memoized.or(text).many().parseText('x[a](b)').parsed).to.deep.equal(['x', 'a']);
+            expect(() => Parser.char('!').commit().seq(memoized).or(text).parseAll('![a]')).to.throw(ParseError, "expected '(' at 1:5");
+
+            const number = Parser.regex(/\d+/).fmap(Number);
+            const expression = Parser.expression(number, [
+                [{ operator: Parser.char('+').commit(), build: (a, b) => a + b }],
+            ]);
+
+            expect(expression.parseText('1+2+')).to.be.undefined;
+            expect(expression.parseText('1+2-').parsed).to.equal(3);
+            expect(() => expression.parseAll('1+2+')).to.throw(ParseError, 'at 1:5');
+        });
+
+        it('recover', () => {
+            const parser = link.or(text).recover(Parser.char(' ').lookahead(), (_, skipped) => ({ skipped })).many();
+            const { parsed, diagnostics } = parser.parseText('[a](b e) [c](d)');
+
+            expect(parsed).to.deep.equal([{ skipped: '[a](b' }, ' e) ', 'c']);
+            expect(diagnostics.map(error => error.message)).to.deep.equal(["expected ')' at 1:6"]);
+        });
+    });
+
+    describe('recover', () => {
+        const newline = Parser.char('\n');
+        const statement = Parser.regex(/\w+ = /).seq(Parser.regex(/\d+/)).fmap(Number).label('statement');
+
+        it('collects errors', () => {
+            const parser = statement.pass(newline)
+                .recover(newline, (error, skipped) => ({ error: error.message, skipped }))
+                .many();
+
+            const { parsed, rest, diagnostics } = parser.parseText('a = 1\nb = ?\n\nc = 3\n!');
+
+            expect(parsed).to.deep.equal([
+                1,
+                { error: "expected /\\d+/ at 2:5", skipped: 'b = ?' },
+                { error: 'expected statement at 3:1', skipped: '' },
+                3,
+            ]);
+            expect(rest).to.equal('!');
+            expect(diagnostics).to.have.length(2);
+            expect(diagnostics[0]).to.be.instanceOf(ParseError);
+            expect(diagnostics.map(({ line, column }) => [line, column])).to.deep.equal([[2, 5], [3, 1]]);
+
+            expect(parser.parseText('a = 1\n')).to.deep.equal({ parsed: [1], rest: '' });
+        });
+
+        it('synchronises on lookahead', () => {
+            const item = Parser.regex(/\d+/).fmap(Number).recover(Parser.char(',').or(Parser.char(']')).lookahead());
+            const list = item.sepBy(Parser.char(',')).between(Parser.char('['), Parser.char(']'));
+
+            const { parsed, diagnostics } = list.parseAll('[1,x y,3,]');
+
+            expect(parsed[0]).to.equal(1);
+            expect(parsed[1]).to.be.instanceOf(ParseError);
+            expect(parsed[2]).to.equal(3);
+            expect(diagnostics.map(error => error.message)).to.deep.equal(['expected /\\d+/ at 1:4', 'expected /\\d+/ at 1:10']);
+        });
+
+        it('fails when cannot synchronise', () => {
+            const parser = statement.recover(newline);
+
+            expect(parser.parseText('a = x')).to.be.undefined;
+            expect(() => parser.parseAll('a = x')).to.throw(ParseError, 'expected /\\d+/ at 1:5');
+        });
+
+        it('drops errors of abandoned branches', () => {
+            const recovering = Parser.string('ab').recover(Parser.char(';'), () => 'error');
+            const parser = recovering.pass(Parser.char('!')).or(Parser.string('ax;').fmap(() => 'other'));
+
+            expect(parser.parseText('ax;')).to.deep.equal({ parsed: 'other', rest: '' });
+        });
+
+        it('memoized', () => {
+            const item = Parser.regex(/\d/).recover(Parser.char(';')).memo();
+            const parser = item.pass(Parser.char('!')).or(item.pass(Parser.char('?')));
+
+            expect(parser.parseText('x;?').diagnostics).to.have.length(1);
+
+            const bad = Parser.string('x').recover(Parser.char(';'));
+            const sequence = bad.seq(item.lookahead().seq(item));
+
+            expect(sequence.parseText('y;z;').diagnostics.map(error => error.column)).to.deep.equal([1, 3]);
+        });
+    });
+
+    describe('positions', () => {
+        const word = Parser.sat(c => c != ' ' && c != '\n').many(1).fmap(cs => cs.join(''));
+        const spaces = Parser.sat(c => c == ' ' || c == '\n').many();
+
+        it('position', () => {
+            const parser = spaces.seq(Parser.position());
+
+            expect(parser.parseText('  \n  word').parsed).to.deep.equal({ offset: 5, line: 2, column: 3 });
+        });
+
+        it('located', () => {
+            const parser = spaces.seq(word.located()).many();
+
+            expect(parser.parseText('one\n  two').parsed).to.deep.equal([
+                {
+                    value: 'one',
+                    start: { offset: 0, line: 1, column: 1 },
+                    end: { offset: 3, line: 1, column: 4 },
+                },
+                {
+                    value: 'two',
+                    start: { offset: 6, line: 2, column: 3 },
+                    end: { offset: 9, line: 2, column: 6 },
+                },
+            ]);
+        });
+
+        it('located within inversed', () => {
+            const secondWord = word.pass(spaces).seq(word.located());
+
+            const parser = Parser.string('line\n')
+                .seq(Parser.brackets('[', ']').save('text'))
+                .bindInversed(secondWord.save('second'), 'text')
+                .seqInversed(spaces.seq(word.located()), 'text');
+
+            expect(parser.parseText('line\n[first second]').parsed).to.deep.equal({
+                value: 'first',
+                start: { offset: 6, line: 2, column: 2 },
+                end: { offset: 11, line: 2, column: 7 },
+            });
+
+            const bound = Parser.brackets('[', ']').save('text')
+                .bindInversed(secondWord.save('second'), 'text');
+
+            expect(bound.parseText('[first second]').parsed.second).to.deep.equal({
+                value: 'second',
+                start: { offset: 7, line: 1, column: 8 },
+                end: { offset: 13, line: 1, column: 14 },
+            });
+        });
+
+        it('inversed fragments repeating the text before them', () => {
+            const afterBrackets = Parser.string('ab')
+                .seq(Parser.brackets('[', ']'))
+                .seqInversed(Parser.position());
+
+            expect(afterBrackets.parseText('ab[b]').parsed.offset).to.equal(3);
+
+            const afterQuoted = Parser.regex(/\w+ /)
+                .seq(Parser.quoted('"'))
+                .seqInversed(Parser.item().located());
+
+            expect(afterQuoted.parseText('x "x"').parsed.start.offset).to.equal(3);
+
+            const saved = Parser.brackets('[', ']').save('text')
+                .bind(Parser.brackets('(', ')').save('href'))
+                .bindInversed(Parser.position().save('at'), 'href')
+                .seqInversed(Parser.position(), 'text');
+
+            expect(saved.parseText('[a](a)').parsed.offset).to.equal(1);
+
+            const bound = Parser.brackets('[', ']').save('text')
+                .bind(Parser.brackets('(', ')').save('href'))
+                .bindInversed(Parser.position().save('at'), 'href');
+
+            expect(bound.parseText('[a](a)').parsed.at.offset).to.equal(4);
+
+            const recorded = Parser.record({ text: Parser.brackets('[', ']'), href: Parser.brackets('(', ')') })
+                .seqInversed(Parser.position(), 'href');
+
+            expect(recorded.parseText('[a](a)').parsed.offset).to.equal(4);
+
+            const group = Parser.regex(/(\w+) (\w+)/, 2).seqInversed(Parser.regex(/\w+/).located());
+
+            expect(group.parseText('ab ab').parsed.start.offset).to.equal(3);
+
+            const named = Parser.regex(/(?<key>\w+)=(?<value>\w+)/, 'value').seqInversed(Parser.position());
+
+            expect(named.parseText('a=a').parsed.offset).to.equal(2);
+        });
+
+        it('decoded fragments', () => {
+            const located = Parser.regex(/[^]+/).located();
+            const quoted = Parser.quoted('"', { escape: '\\' });
+
+            expect(quoted.seqInversed(located).parseText('"a\\tb"').parsed).to.deep.equal({
+                value: 'a\tb',
+                start: { offset: 0, line: 1, column: 1 },
+                end: { offset: 0, line: 1, column: 1 },
+            });
+            expect(quoted.seqInversed(located).parseText('"a b"').parsed.end.offset).to.equal(4);
+            expect(Parser.quoted('"', { escape: '\\', decode: false }).seqInversed(located).parseText('"a\\tb"').parsed.end.offset)
+                .to.equal(5);
+
+            const nested = Parser.brackets('[', ']').seqInversed(quoted.seqInversed(Parser.item().seq(Parser.position())));
+
+            expect(nested.parseText('["\\u0061b"]').parsed.offset).to.equal(1);
+            expect(() => quoted.seqInversed(Parser.string('a\tc')).parseAll('"a\\tb"')).to.throw(ParseError, "expected 'a\\tc' at 1:1");
+        });
+
+        it('errors within inversed', () => {
+            const parser = Parser.string('line\n')
+                .seq(Parser.brackets('[', ']'))
+                .seqInversed(word.pass(Parser.char(' ')).seq(Parser.string('second')));
+
+            expect(() => parser.parseAll('line\n[first third]')).to.throw(ParseError, "expected 'second' at 2:8");
+        });
+    });
+
+    describe('unicode', () => {
+        const join = cs => cs.join('');
+
+        it('code points', () => {
+            expect(Parser.item().many().parseText('a😀').parsed).to.have.length(3);
+            expect(Parser.item({ unit: 'codePoint' }).many().parseText('a😀').parsed).to.deep.equal(['a', '😀']);
+            expect(Parser.char('😀', { unit: 'codePoint' }).parseText('😀!')).to.deep.equal({ parsed: '😀', rest: '!' });
+
+            const notSpace = Parser.sat(c => c != ' ', { unit: 'codePoint' });
+
+            expect(notSpace.many().fmap(join).parseText('𝒜𝒷 c')).to.deep.equal({ parsed: '𝒜𝒷', rest: ' c' });
+            expect(Parser.item({ unit: 'codePoint' }).parseText('\ud83dx').parsed).to.equal('\ud83d');
+        });
+
+        it('graphemes', () => {
+            const text = 'e\u0301👍🏽🇷🇺!';
+            const graphemes = Parser.item({ unit: 'grapheme' }).many().parseText(text).parsed;
+
+            expect(graphemes).to.deep.equal(['e\u0301', '👍🏽', '🇷🇺', '!']);
+            expect(Parser.char('e', { unit: 'grapheme' }).parseText(text)).to.be.undefined;
+            expect(Parser.char('e').parseText(text).rest).to.equal(text.slice(1));
+
+            const long = 'a' + '\u0301'.repeat(100);
+
+            expect(Parser.item({ unit: 'grapheme' }).parseText(long + 'b')).to.deep.equal({ parsed: long, rest: 'b' });
+        });
+
+        it('Parser.unicode', () => {
+            const word = Parser.unicode('L').many(1).fmap(join);
+
+            expect(word.parseText('Привет, мир')).to.deep.equal({ parsed: 'Привет', rest: ', мир' });
+            expect(word.parseText('𝒜𝒷!').parsed).to.equal('𝒜𝒷');
+            expect(Parser.unicode('Script=Cyrillic').parseText('Ж').parsed).to.equal('Ж');
+            expect(Parser.unicode('Script=Cyrillic').parseText('Z')).to.be.undefined;
+            expect(Parser.unicode('L', { unit: 'grapheme' }).parseText('й!').parsed).to.equal('й');
+            expect(() => word.parseAll('1')).to.throw(ParseError, 'expected \\p{L} at 1:1');
+            expect(() => Parser.unicode('Unknown')).to.throw(SyntaxError);
+        });
+
+        it('brackets', () => {
+            expect(Parser.brackets('⟦', '⟧').parseText('⟦a ⟦b⟧⟧c')).to.deep.equal({ parsed: 'a ⟦b⟧', rest: 'c' });
+            expect(Parser.brackets('𝄃', '𝄂', { unit: 'codePoint' }).parseText('𝄃a𝄂b')).to.deep.equal({ parsed: 'a', rest: 'b' });
+
+            const accented = Parser.brackets('(', ')', { unit: 'grapheme' });
+
+            expect(accented.parseText('(a)\u0301)!')).to.deep.equal({ parsed: 'a)\u0301', rest: '!' });
+        });
+
+        it('streams', () => {
+            const feeder = Parser.item({ unit: 'grapheme' }).createFeeder();
+
+            expect(feeder.push('ae')).to.deep.equal(['a']);
+            expect(feeder.push('\u0301\ud83d')).to.deep.equal(['e\u0301']);
+            expect(feeder.push('\ude00')).to.deep.equal([]);
+            expect(feeder.end()).to.deep.equal(['😀']);
+        });
+    });
+
+    describe('user state', () => {
+        const declaration = Parser.regex(/let (\w+);/, 1)
+            .chain(name => Parser.setState(names => [...names, name]))
+            .fmap(() => 'declaration');
+        const usage = Parser.withState(names => Parser.oneOf(names, { wordBoundary: true }))
+            .pass(Parser.char(';'))
+            .fmap(name => ({ usage: name }));
+        const program = declaration.or(usage).many();
+
+        it('getState, setState and withState', () => {
+            const { parsed, rest, state } = program.parseText('let a;a;let b;b;a;c;', { state: [] });
+
+            expect(parsed).to.deep.equal(['declaration', { usage: 'a' }, 'declaration', { usage: 'b' }, { usage: 'a' }]);
+            expect(rest).to.equal('c;');
+            expect(state).to.deep.equal(['a', 'b']);
+
+            expect(program.parseAll('let x;x;', { state: [] }).state).to.deep.equal(['x']);
+            expect(program.parseText('let x;', { state: [] })).to.deep.equal({ parsed: ['declaration'], rest: '', state: ['x'] });
+            expect(Parser.getState().parseText('')).to.deep.equal({ parsed: undefined, rest: '' });
+            expect(Parser.getState().parseText('', { state: 42 })).to.deep.equal({ parsed: 42, rest: '', state: 42 });
+            expect(() => Parser.withState(() => null).parseText('')).to.throw(TypeError, 'should return a Parser');
+        });
+
+        it('rolls back on backtracking', () => {
+            const count = Parser.setState(n => n + 1);
+            const counted = Parser.char('a').pass(count);
+
+            const alternatives = counted.pass(Parser.char('!')).or(counted.pass(Parser.char('?')));
+            expect(alternatives.many().parseText('a?a!a', { state: 0 })).to.deep.equal({ parsed: ['a', 'a'], rest: 'a', state: 2 });
+
+            const repeated = counted.pass(Parser.char(',')).many();
+            expect(repeated.parseText('a,a,a', { state: 0 }).state).to.equal(2);
+
+            expect(counted.pass(Parser.char('.')).default('none').parseText('a', { state: 0 }).state).to.equal(0);
+            expect(counted.lookahead().parseText('a', { state: 0 }).state).to.equal(0);
+        });
+
+        it('nesting level', () => {
+            const line = Parser.regex(/ */).chain(indent => Parser.withState(level => indent.length == level * 2
+                ? Parser.regex(/\w+\n/)
+                : Parser.zero()));
+            const nested = Parser.lazy(() => line.pass(
+                Parser.setState(level => level + 1).seq(nested.many()).pass(Parser.setState(level => level - 1))
+            ));
+
+            expect(nested.many().parseAll('a\n  b\n    c\n  d\ne\n', { state: 0 }).state).to.equal(0);
+            expect(() => nested.many().pass(Parser.end()).parseAll('a\n   b\n', { state: 0 })).to.throw(ParseError);
+        });
+
+        it('memoized', () => {
+            const word = Parser.withState(prefix => Parser.string(prefix)).memo();
+            const parser = Parser.setState(() => 'a').seq(word).lookahead()
+                .seq(Parser.setState(() => 'ab')).seq(word);
+
+            expect(parser.parseText('abc', { state: '' })).to.deep.equal({ parsed: 'ab', rest: 'c', state: 'ab' });
+        });
+    });
+
+    describe('layout', () => {
+        const newline = Parser.char('\n');
+
+        const makeConfig = options => {
+            const entry = Parser.lazy(() => Parser.record({
+                key: Parser.regex(/\w+/),
+                value: Parser.string(': ').seq(Parser.regex(/[^\n]+/))
+                    .or(Parser.char(':').seq(newline).seq(block)),
+            }));
+            const block = Parser.block(entry, options);
+
+            return block;
+        };
+
+        const config = makeConfig();
+
+        it('block', () => {
+            const text = 'server:\n  host: localhost\n\n  ports:\n    http: 80\n    https: 443\nname: demo';
+
+            expect(config.parseAll(text).parsed).to.deep.equal([
+                {
+                    key: 'server',
+                    value: [
+                        { key: 'host', value: 'localhost' },
+                        { key: 'ports', value: [{ key: 'http', value: '80' }, { key: 'https', value: '443' }] },
+                    ],
+                },
+                { key: 'name', value: 'demo' },
+            ]);
+
+            expect(config.parseText('a: 1\n b: 2')).to.deep.equal({ parsed: [{ key: 'a', value: '1' }], rest: '\n b: 2' });
+            expect(() => config.parseAll('a:\nb: 1')).to.throw(ParseError, 'expected indentation deeper than 0 at 2:1');
+            expect(() => config.parseAll('a:\n    b: 1\n  c: 2')).to.throw(ParseError, 'expected indentation of 4 or indentation of 0 at 3:3');
+        });
+
+        it('tabs', () => {
+            const text = 'a:\n\tb: 1\n    c: 2\n  \td: 3';
+
+            expect(config.parseAll(text).parsed[0].value.map(({ key }) => key)).to.deep.equal(['b', 'c', 'd']);
+            expect(makeConfig({ tabWidth: 8 }).parseText(text).parsed[0].value.map(({ key }) => key)).to.deep.equal(['b']);
+        });
+
+        it('sameIndent and deeperIndent', () => {
+            const line = Parser.regex(/[^\n]*/);
+            const item = Parser.char('-').seq(Parser.char(' ')).seq(line)
+                .pass(newline.seq(Parser.deeperIndent()).seq(line).many())
+                .save('item');
+            const list = Parser.indented(item.bind(newline.seq(Parser.sameIndent()).seq(item.fmap(({ item }) => item)).many().save('rest')));
+
+            expect(list.parseText('  - one\n     more\n  - two\n- three').parsed).to.deep.equal({ item: 'one', rest: ['two'] });
+
+            expect(Parser.sameIndent().parseText('x').parsed).to.equal(0);
+            expect(() => Parser.sameIndent().parseAll(' x')).to.throw(ParseError, 'expected indentation of 0 at 1:2');
+            expect(Parser.deeperIndent().parseText('  x')).to.deep.equal({ parsed: 2, rest: 'x' });
+        });
+
+        it('lineFold', () => {
+            const words = Parser.lineFold(space => Parser.regex(/\w+/).sepBy1(space));
+            const lines = words.sepBy(newline);
+
+            expect(lines.parseAll('one two\n  three\n\n    four\nfive\n six').parsed).to.deep.equal([
+                ['one', 'two', 'three', 'four'],
+                ['five', 'six'],
+            ]);
+
+            // Continuation lines must be deeper than the column where the fold starts
+            const nested = Parser.string('key ').seq(words);
+
+            expect(nested.parseText('key a\n     b\n  c')).to.deep.equal({ parsed: ['a', 'b'], rest: '\n  c' });
+            expect(nested.parseText('key a\n\tb').parsed).to.deep.equal(['a']);
+
+            const wide = Parser.string('key ').seq(Parser.lineFold(space => Parser.regex(/\w+/).sepBy1(space), { tabWidth: 8 }));
+
+            expect(wide.parseText('key a\n\tb').parsed).to.deep.equal(['a', 'b']);
+        });
+    });
+
+    describe('tracing', () => {
+        const item = Parser.regex(/[a-z]+/).label('item');
+        const number = Parser.regex(/[0-9]+/).label('number');
+        const list = number.or(item).sepBy(Parser.char(',')).label('list');
+
+        it('trace', () => {
+            const { parsed, trace } = list.parseText('a,12', { trace: true });
+
+            expect(parsed).to.deep.equal(['a', '12']);
+            expect(trace).to.be.instanceOf(TraceNode);
+            expect(trace.toString()).to.equal([
+                '+ (parse) 1:1-1:5 "a,12"',
+                '  + list 1:1-1:5 "a,12"',
+                '    - number 1:1',
+                '    + item 1:1-1:2 "a"',
+                '    + number 1:3-1:5 "12"',
+            ].join('\n'));
+
+            const [listNode] = JSON.parse(JSON.stringify(trace)).children;
+
+            expect(listNode.children[2]).to.deep.equal({
+                name: 'number',
+                start: { offset: 2, line: 1, column: 3 },
+                end: { offset: 4, line: 1, column: 5 },
+                success: true,
+                text: '12',
+                children: [],
+            });
+            expect(list.parseText('a,12')).to.not.have.property('trace');
+        });
+
+        it('tracer callback', () => {
+            /** @type {TraceNode[]} */
+            const traces = [];
+            const tracer = trace => traces.push(trace);
+
+            expect(list.parseText('a', { trace: tracer })).to.not.have.property('trace');
+            expect(() => number.parseAll('a', { trace: tracer })).to.throw(ParseError);
+
+            expect(traces.map(trace => trace.success)).to.deep.equal([true, false]);
+            expect(traces[1].toString()).to.equal('- (parse) 1:1\n  - number 1:1');
+        });
+
+        it('trace of failed run', () => {
+            try {
+                list.pass(Parser.end()).parseAll('a,1b', { trace: true });
+                expect.fail();
+            } catch (e) {
+                expect(e).to.be.instanceOf(ParseError);
+                expect(e.trace.children[0].success).to.be.true;
+                expect(e.trace.children[0].text).to.equal('a,1');
+            }
+        });
+
+        it('trace of tokens', () => {
+            const lexer = Parser.lexer([
+                { type: 'number', pattern: /[0-9]+/ },
+                { type: 'plus', pattern: /\+/ },
+                { type: 'space', pattern: /\s+/, skip: true },
+            ]);
+            const sum = Parser.token('number').sepBy1(Parser.token('plus')).label('sum');
+
+            const { trace } = sum.parseText(lexer.parseAll('1 + 2').parsed, { trace: true });
+
+            expect(trace.children[0].text).to.equal('1 + 2');
+            expect(trace.children[0].end).to.deep.equal({ offset: 5, line: 1, column: 6 });
+        });
+    });
+
+    describe('lexemes', () => {
+        it('numbers', () => {
+            expect(Parser.integer().parseText('42 apples')).to.deep.equal({ parsed: 42, rest: ' apples' });
+            expect(Parser.integer().parseText('-1')).to.be.undefined;
+            expect(Parser.integer({ signed: true }).parseText('-7').parsed).to.equal(-7);
+            expect(Parser.integer({ signed: true }).parseText('+7').parsed).to.equal(7);
+            expect(Parser.float().parseText('1.5e3').parsed).to.equal(1500);
+            expect(Parser.float().parseText('2.')).to.deep.equal({ parsed: 2, rest: '.' });
+            expect(Parser.float({ signed: true }).parseText('-.25E-1').parsed).to.equal(-0.025);
+            expect(Parser.hex().parseText('0XfF').parsed).to.equal(255);
+            expect(Parser.hex({ prefix: '#' }).parseText('#1a').parsed).to.equal(26);
+            expect(Parser.hex({ prefix: '' }).parseText('10').parsed).to.equal(16);
+            expect(() => Parser.float().parseAll('e5')).to.throw(ParseError, 'expected number at 1:1');
+            expect(() => Parser.hex().parseAll('0xg')).to.throw(ParseError, 'expected hexadecimal digits at 1:3');
+            expect(() => Parser.hex().parseAll('ff')).to.throw(ParseError, 'expected hexadecimal number at 1:1');
+        });
+
+        it('identifier', () => {
+            const nameParser = Parser.identifier({ reserved: ['if', 'else'] });
+
+            expect(nameParser.parseText('iffy = 1')).to.deep.equal({ parsed: 'iffy', rest: ' = 1' });
+            expect(nameParser.parseText('_x1').parsed).to.equal('_x1');
+            expect(nameParser.parseText('1x')).to.be.undefined;
+            expect(() => nameParser.parseAll('if')).to.throw(ParseError, 'expected identifier at 1:1');
+        });
+
+        it('line breaks and whitespace', () => {
+            expect(Parser.lineBreak().parseText('\r\nx')).to.deep.equal({ parsed: '\r\n', rest: 'x' });
+            expect(Parser.lineBreak().parseText('\rx')).to.be.undefined;
+            expect(Parser.whitespace().parseText(' \t\n x')).to.deep.equal({ parsed: ' \t\n ', rest: 'x' });
+            expect(Parser.whitespace({ lineBreaks: false }).parseText(' \t\n x')).to.deep.equal({ parsed: ' \t', rest: '\n x' });
+            expect(Parser.whitespace().parseText('x')).to.deep.equal({ parsed: '', rest: 'x' });
+        });
+
+        it('comments', () => {
+            expect(Parser.lineComment('//').parseText('// note\nx')).to.deep.equal({ parsed: ' note', rest: '\nx' });
+            expect(Parser.blockComment('{-', '-}').parseText('{- a {- b -} c -}')).to.deep.equal({
+                parsed: ' a {- b ',
+                rest: ' c -}',
+            });
+            expect(Parser.blockComment('{-', '-}', { nested: true }).parseText('{- a {- b -} c -}x')).to.deep.equal({
+                parsed: ' a {- b -} c ',
+                rest: 'x',
+            });
+            expect(() => Parser.blockComment('{-', '-}').parseAll('{- open')).to.throw(ParseError, 'expected \'-}\' at 1:8');
+            expect(() => Parser.blockComment('', '-}')).to.throw(TypeError);
+            expect(() => Parser.blockComment('|', '|')).to.throw(TypeError, 'must be non-empty and differ');
+        });
+
+        it('spacing', () => {
+            const spacing = Parser.spacing({ lineComment: '#', blockComment: ['(*', '*)'] });
+
+            expect(spacing.parseText('  # note\n (* more *) x')).to.deep.equal({ parsed: '  # note\n (* more *) ', rest: 'x' });
+            expect(spacing.parseText('x')).to.deep.equal({ parsed: '', rest: 'x' });
+            expect(Parser.spacing({ lineBreaks: false, lineComment: '#' }).parseText(' # a\n# b')).to.deep.equal({
+                parsed: ' # a',
+                rest: '\n# b',
+            });
+        });
+
+        it('lexeme', () => {
+            const lexeme = parser => Parser.lexeme(parser, { lineComment: '//' });
+
+            const sumParser = lexeme(Parser.integer())
+                .sepBy1(lexeme(Parser.char('+')))
+                .fmap(terms => terms.reduce((a, b) => a + b));
+
+            expect(sumParser.parseAll('1 + // two\n 2 ').parsed).to.equal(3);
+            expect(Parser.lexeme(Parser.identifier()).parseText('a  b')).to.deep.equal({ parsed: 'a', rest: 'b' });
+        });
+    });
+
+    describe('printing', () => {
+        const number = Parser.regex(/\d+/).fmap(Parser.iso(Number, String));
+
+        it('primitives', () => {
+            expect(Parser.string('let').print('let')).to.equal('let');
+            expect(Parser.char('x').print('x')).to.equal('x');
+            expect(Parser.oneOf(['in', 'int']).print('int')).to.equal('int');
+            expect(Parser.regex(/[a-z]+/).print('abc')).to.equal('abc');
+            expect(Parser.quoted('"', { escape: '\\' }).print('say "hi" \\o/')).to.equal('"say \\"hi\\" \\\\o/"');
+            expect(Parser.quoted("'", { escape: "'" }).print("it's")).to.equal("'it''s'");
+            expect(Parser.brackets('(', ')').print('a (b)')).to.equal('(a (b))');
+            expect(Parser.result(1).print(1)).to.equal('');
+        });
+
+        it('combinators', () => {
+            const listParser = number
+                .sepBy(Parser.string(', '))
+                .between(Parser.char('['), Parser.char(']'));
+
+            expect(listParser.print([1, 22, 333])).to.equal('[1, 22, 333]');
+            expect(listParser.print([])).to.equal('[]');
+
+            const headingParser = Parser.char('#').many(1).fmap(Parser.iso(cs => cs.length, n => '#'.repeat(n).split('')))
+                .save('level')
+                .bind(Parser.char(' ').many(1).seq(Parser.regex(/[^\n]+/)).save('content'));
+
+            expect(headingParser.print({ level: 2, content: 'Title' })).to.equal('## Title');
+
+            const assignmentParser = Parser.record({
+                name: Parser.lexeme(Parser.identifier()),
+                value: Parser.lexeme(Parser.char('=')).seq(Parser.float({ signed: true })),
+            });
+
+            expect(assignmentParser.print({ name: 'x', value: -1.5 })).to.equal('x=-1.5');
+
+            const wordsParser = Parser.regex(/\w+/).sepBy(Parser.regex(/,\s*/, undefined, ', '));
+
+            expect(wordsParser.print(['a', 'b'])).to.equal('a, b');
+            expect(() => Parser.regex(/,\s*/, undefined, ';')).to.throw(TypeError, 'does not match the printed text');
+            expect(Parser.char('-').optional().print(Parser.absent)).to.equal('');
+        });
+
+        it('alternatives', () => {
+            const booleanParser = Parser.string('yes').fmap(Parser.iso(() => true, () => 'yes'))
+                .or(Parser.string('no').fmap(Parser.iso(() => false, () => 'no')));
+
+            expect(booleanParser.print(true)).to.equal('yes');
+            expect(booleanParser.print(false)).to.equal('no');
+
+            const valueParser = number.or(Parser.quoted('"'));
+
+            expect(valueParser.many().print([1, 'a', 2])).to.equal('1"a"2');
+        });
+
+        it('inversed', () => {
+            const word = Parser.regex(/\w+/);
+
+            const bracketed = Parser.brackets('[', ']').seqInversed(word.sepBy(Parser.char(' ')));
+
+            expect(bracketed.print(['a', 'b'])).to.equal('[a b]');
+
+            const linkParser = Parser.brackets('[', ']').save('text')
+                .bind(Parser.brackets('(', ')').save('target'))
+                .bindInversed(word.save('href').bind(Parser.char(' ').seq(Parser.quoted('"')).save('hint')), 'target');
+
+            const link = linkParser.parseAll('[home](index "Main page")').parsed;
+
+            expect(linkParser.print(link)).to.equal('[home](index "Main page")');
+        });
+
+        it('recursive grammars', () => {
+            const { list } = Parser.grammar({
+                list: r => Parser.char('(').seq(r.element.sepBy(Parser.char(' '))).pass(Parser.char(')')),
+                element: r => r.list.or(r.word),
+                word: () => Parser.regex(/\w+/),
+            });
+
+            const value = ['a', ['b', 'c'], [], 'd'];
+
+            expect(list.print(value)).to.equal('(a (b c) () d)');
+            expect(list.parseAll(list.print(value)).parsed).to.deep.equal(value);
+        });
+
+        it('round trips', () => {
+            const wordsParser = Parser.regex(/\w+/).sepBy(Parser.char(' ').many());
+
+            expect(() => wordsParser.print(['a', 'b'])).to.throw(Error, 'Printed text "ab" does not parse back into the value');
+            expect(() => Parser.brackets('(', ')').print('a)')).to.throw(Error, 'cannot print');
+            expect(() => Parser.brackets('(', ')').print('a)b(')).to.throw(Error, 'cannot print');
+            expect(() => Parser.regex(/\d+/).fmap(Number).print(1)).to.throw(Error, 'The parser cannot print the number value');
+            expect(() => number.print('1')).to.throw(Error, 'cannot print');
+            expect(() => Parser.integer().print(-1)).to.throw(Error, 'cannot print');
+        });
+    });
 });
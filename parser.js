@@ -8,597 +8,4498 @@ const { assert } = require("console");
  * @returns {boolean}
  */
 
+/**
+ * @typedef {object} OffsetCondition Test of the unparsed text which makes no strings of it
+ * @property {(source: string, offset: number) => boolean} at Gets the text being parsed
+ * and position of the unparsed rest in it
+ */
+
+/**
+ * @typedef {Predicate|OffsetCondition} Condition Test of the unparsed text: a predicate which gets
+ * the text, or an object with the `at` method which looks into the source instead
+ */
+
 /**
  * @template A
  * @typedef {object} Just<A> Pair of parsed value and the unparsed rest of the text
  * @property {T} parsed Parsed value
  * @property {string} rest Rest of the text being parsed
+ * @property {ParseError[]} [diagnostics] Errors recovered from, see `recover()`
+ * @property {TraceNode} [trace] Calls of the labeled parsers, when parsing with the `trace` option
+ * @property {any} [state] The final user-defined state, when parsing with the `state` option
+ */
+
+/**
+ * @template A
+ * @typedef {object} State<A> Internal parsing state: parsed value and position of the unparsed rest
+ * @property {A} parsed Parsed value
+ * @property {string|any[]} source The whole text (or array of tokens) being parsed
+ * @property {number} offset Index of the first unparsed character (or token) in the source
+ * @property {number} base Position of the source within the document (nonzero when parsing a fragment of it)
+ * @property {boolean} verbatim The source is the document text as is: positions within the fragments
+ * which are not (e.g. decoded strings) are all the one of the fragment
+ * @property {Context} context Data shared by all parsers during a single run
+ * @property {Diagnostics|undefined} diagnostics Errors recovered from so far, see `recover()`
+ * @property {boolean} committed Some parser has committed since the innermost choice point, see `commit()`
+ * @property {any} userState User-defined state, see `Parser.getState()`
+ * @property {number|undefined} indent Column of the innermost layout block, see `Parser.block()`
+ * @property {number|Record<string,number>|undefined} fragment Offset of the parsed value in the source
+ * when the value is a fragment of it (offsets by name for the saved fragments), see `bindInversed()`
  * 
- * @typedef {Just<A>|undefined} Maybe<A> Parsing result which may either succeed or fail
+ * @typedef {State<A>|undefined} Maybe<A> Parsing result which may either succeed or fail
+ */
+
+/**
+ * @typedef {object} Diagnostics Errors recovered from, the latest first
+ * @description The list is immutable, so the parsers which backtrack drop the errors of the abandoned branches.
+ * @property {ParseError} error The latest error
+ * @property {Diagnostics|undefined} previous Errors before the latest one
  */
 
 /**
  * @template A,B
  * 
  * @callback ParseFunction Text parsing function
- * @param {Just<A>} input Result of the previous parser
+ * @param {State<A>} input Result of the previous parser
  * @returns {Maybe<B>}
  * 
  * @callback Mapper<A,B> Map one value to another
  * @param {A} value Value to map
  * @returns {B}
+ * 
+ * @callback PrintFunction Text printing function, see `print()`
+ * @param {B} value Value to print, `DISCARDED` when the value is not needed
+ * @returns {string|undefined} Text which parses into the value, undefined when the value cannot be printed
  */
 
-const notEmptyObject = o => o && typeof o == 'object';
+/**
+ * @typedef {object} Context Data shared by all parsers during a single run
+ * @property {string|any[]} document The whole text (or array of tokens) passed to the parser
+ * @property {Position} origin Position of the document start (nonzero when the document is a chunk of a stream)
+ * @property {number[]} [lines] Start offsets of the document lines (built when needed)
+ * @property {number} furthest The furthest document offset at which some parser has failed
+ * @property {State<any>} failed State on which the furthest failure has happened
+ * @property {number} failedOffset Offset of the furthest failure within the failed state's source
+ * @property {Set<string>} expected What was expected at the furthest offset
+ * @property {Map<Parser<any,any>,Map<number,MemoEntry>>} memo Results of memoized parsers by document offset
+ * @property {MemoEntry[]} evaluating Memoized parsers being evaluated at the moment (innermost last)
+ * @property {boolean} partial More text may follow the document
+ * @property {boolean} hungry Some parser has reached the end of the partial document and could use more text
+ * @property {TraceNode} [trace] Trace node of the labeled parser being run (when tracing)
+ */
 
 /**
- * Parser class
- * @template A,B
- * @param {ParseFunction<A,B>} parse Parsing function
+ * @typedef {object} MemoEntry Result of a memoized parser at some position
+ * @property {string} source Text the parser has worked on
+ * @property {Maybe<any>} result Parsing result (the seed while a left-recursive parser grows it)
+ * @property {boolean} evaluating The parser is being evaluated at the position
+ * @property {boolean} recursive The parser has been called at the same position while being evaluated there
+ * @property {boolean} tainted The result depends on a left-recursive parser being evaluated, and cannot be reused
+ * @property {number} depth Index of the entry in the `evaluating` stack
+ * @property {Diagnostics|undefined} diagnostics Errors recovered from before the parser was called
+ * @property {any} userState User-defined state the parser was called with
+ * @property {number|undefined} indent Column of the layout block the parser was called within
+ * @property {Failures|undefined} failures Failures of the parser at the position, merged back when the result is reused
  */
-function Parser(parse) {
-    this._parse = parse;
 
-    /**
-     * Try to parse text
-     * @param {string} text Text to parse
-     * @returns {Maybe<B>}
-     */
-    this.parseText = text => this._parse({ rest: text });
+/**
+ * @typedef {object} Position Position in the document
+ * @property {number} offset Zero-based offset
+ * @property {number} line One-based line
+ * @property {number} column One-based column
+ */
 
-    /**
-     * Save parse result as a property
-     * @param {string} key Name of the property under which the parse result should be saved
-     * @returns {Parser<A,Record<string,B> & { key: B}>}
-     * @example
-     * ~~~js
-     * const prefixParser = Parser.string('the').save('prefix');
-     * 
-     * const actual = prefixParser.parseText('the table');
-     * 
-     * expect(actual).to.deep.equal({
-     *     parsed: { prefix: 'the' },
-     *     rest: ' table'
-     * });
-     * ~~~
-     */
-    this.save = key => {
-        const internal = input => {
-            const point = this._parse(input);
+/**
+ * @template A
+ * @typedef {object} Located<A> Parsed value along with its span in the document
+ * @property {A} value Parsed value
+ * @property {Position} start Position of the first parsed character
+ * @property {Position} end Position next to the last parsed character
+ */
 
-            if (point) {
-                const result = { parsed: {}, rest: point.rest };
-                result.parsed[key] = point.parsed;
-                return result;
-            }
-        };
-        return new Parser(internal);
-    };
+/**
+ * @typedef {object} Token Token made by `Parser.lexer`
+ * @property {string} type Type of the token (name of the lexer rule)
+ * @property {any} value Value of the token
+ * @property {string} text Source text of the token
+ * @property {Position} start Position of the token's first character
+ * @property {Position} end Position next to the token's last character
+ */
 
-    /**
-     * The bind combinator
-     * @template {object} C
-     * @param {Parser<B,C>} next 
-     * @returns {Parser<A,B & C>}
-     * @description `bind :: Parser a -> (a -> Parser b) -> Parser b`.
-     * Requires both `B` and `C` types being derived from `object`. This
-     * requirement is needed since there is no obvious way to implement
-     * binding to variables as `<-` in `do` notation.
-     * 
-     * @example
-     * ~~~js
-     * const parser = Parser
-     *     // Left parser counts # characters and save their number in the 'level' property:
-     *     .char('#').many(1).fmap(cs => cs.length).save('level')
-     * 
-     *     // Right parser decodes all the rest of the string and saves result in 'content':
-     *     .bind(untilLineBreakParser.save('content'));
-     * 
-     * const actual = parser.parseText('## Lorem ipsum\ndolor sit amet');
-     * 
-     * expect(actual).to.deep.equal({
-     *     parsed: {
-     *         level: 2,
-     *         content: ' Lorem ipsum'
-     *     },
-     *     rest: '\ndolor sit amet'
-     * });
-     * ~~~
-     */
-    this.bind = next => {
-        const internal = input => {
-            const left = this._parse(input);
+/**
+ * Check if the value is an object with named properties (not null nor an array)
+ * @param {any} value Value to check
+ * @returns {boolean}
+ */
+const isRecord = value => Boolean(value) && typeof value == 'object' && !Array.isArray(value);
 
-            if (left) {
-                const right = next._parse(left);
+/**
+ * Describe the type of the value for error messages
+ * @param {any} value Value to describe
+ * @returns {string}
+ */
+const describeType = value => {
+    if (value === null || value === undefined) {
+        return String(value);
+    }
 
-                if (right) {
-                    assert(
-                        notEmptyObject(left.parsed) && notEmptyObject(right.parsed),
-                        'Both left and right parser should return object'
-                    );
-
-                    return {
-                        parsed: Object.assign(left.parsed, right.parsed),
-                        rest: right.rest,
-                    };
-                }
-            }
+    return Array.isArray(value) ? 'array' : typeof value;
+};
 
-        };
-        return new Parser(internal);
-    };
+/**
+ * Copy properties of the parsed object into the record being built
+ * @param {object} record Record being built
+ * @param {any} value Parsed value
+ * @param {string} source Parser description for the error messages
+ * @param {boolean} unique Throw on duplicate keys instead of overwriting them
+ * @throws {TypeError} When the parsed value is not an object
+ * @throws {Error} When the key is duplicate
+ */
+const assign = (record, value, source, unique) => {
+    if (!isRecord(value)) {
+        throw new TypeError(`${source} should return an object, got ${describeType(value)}`);
+    }
 
-    /**
-     * Combinator which feeds parsed content to the next parser
-     * @template C
-     * @param {Parser<any,C>} next Parser to bind
-     * @param {string} [key] Name of the property to use as input of the `next`
-     * @returns {Parser<A,B&C>}
-     * @description Makes the right parser to parse result of the left one instead of the unparsed rest of the text.
-     * @example
-     * ~~~js
-     * const linkParser = Parser
-     *     .brackets('[', ']').save('text')
-     *     .bind(Parser.brackets('(', ')').save('hrefTitle'))
-     * 
-     *     // Parses contents of the hrefTitle property instead of anything after the ')':
-     *     .bindInversed(untilSpaceParser.save('href').bind(hintParser.save('hint')), 'hrefTitle')
-     * 
-     *     .fmap(data => new Link(data.href, data.text, data.hint));
-     * ~~~
-     */
-    this.bindInversed = (next, key) => {
-        const internal = input => {
-            const left = this._parse(input);
+    Object.keys(value).forEach(key => {
+        if (unique && Object.prototype.hasOwnProperty.call(record, key)) {
+            throw new Error(`${source} returns duplicate key "${key}"`);
+        }
+        record[key] = value[key];
+    });
+};
 
-            if (left) {
-                const rest = key
-                    ? left.parsed[key]
-                    : left.parsed;
+/**
+ * Merge results of the left and right parsers into a new object
+ * @param {any} left Result of the left parser
+ * @param {any} right Result of the right parser
+ * @returns {object}
+ * @throws {TypeError} When either result is not an object
+ */
+const merge = (left, right) => {
+    const record = {};
 
-                const right = next._parse({ rest });
+    assign(record, left, 'Left parser of bind()', false);
+    assign(record, right, 'Right parser of bind()', false);
 
-                if (right) {
-                    assert(
-                        notEmptyObject(left.parsed) && notEmptyObject(right.parsed),
-                        'Both left and right parser should return object'
-                    );
-
-                    return {
-                        parsed: Object.assign(left.parsed, right.parsed),
-                        rest: left.rest,
-                    };
-                }
-            }
-        };
-        return new Parser(internal);
-    };
+    return record;
+};
 
-    /**
-     * Sequence combinator
-     * @template C
-     * @param {Parser<B,C>} next 
-     * @returns {Parser<A,C>}
-     * @description The sequence `>>` (or *then*) combinator which returns result of the right parser.
-     * @example
-     * ~~~js
-     * // Skips spaces and take contents of the following quoted string.
-     * // Returns only text within quotes discarding the parsed spaces.
-     * const hintParser = Parser.char(' ').many()
-     *     .seq(Parser.quoted('"'));
-     * ~~~
-     */
-    this.seq = next => {
-        const internal = input => {
-            const left = this._parse(input);
-            return left && next._parse(left);
-        };
-        return new Parser(internal);
-    };
+/**
+ * Merge offsets of the saved fragments the way `merge()` merges the values
+ * @param {number|Record<string,number>|undefined} left Offsets of the left fragments
+ * @param {object} parsed Right value, its properties hide the left fragments
+ * @param {number|Record<string,number>|undefined} right Offsets of the right fragments
+ * @returns {Record<string,number>|undefined}
+ */
+const mergeFragments = (left, parsed, right) => {
+    if (!isRecord(left) && !isRecord(right)) {
+        return undefined;
+    }
 
-    /**
-     * Inversed sequence combinator
-     * @template C
-     * @param {Parser<any,C>} next Next parser
-     * @param {string} [key] Name of the property to use as input of the `next`
-     * @returns {Parser<A,C>}
-     * @description Makes the right parser work on the result of the left one
-     * (not on the yet unparsed text).
-     * @example
-     * ~~~js
-     * const italicParser = makeStarsParser(1)
-     * 
-     *     // Parse the text which makeStarsParser has found:
-     *     .seqInversed(contentParser)
-     * 
-     *     // Only result of the makeContentParser is available here
-     *     .fmap(makeItalic);
-     * ~~~
-     */
-    this.seqInversed = (next, key) => {
-        const internal = input => {
-            const left = this._parse(input);
+    const fragment = {};
 
-            if (left) {
-                const rest = key
-                    ? left.parsed[key]
-                    : left.parsed;
+    if (isRecord(left)) {
+        Object.keys(left)
+            .filter(key => !(isRecord(parsed) && key in parsed))
+            .forEach(key => {
+                fragment[key] = left[key];
+            });
+    }
 
-                const right = next._parse({ rest });
+    return Object.assign(fragment, isRecord(right) ? right : {});
+};
 
-                if (right) {
-                    return {
-                        parsed: right.parsed,
-                        rest: left.rest,
-                    };
-                }
-            }
-        };
-        return new Parser(internal);
-    };
+/**
+ * Value printed in place of the results which are discarded, e.g. by `seq()` or `pass()`:
+ * the parsers print their shortest text for it
+ * @type {symbol}
+ */
+const DISCARDED = Symbol('discarded');
 
-    /**
-     * Combinator that return result of the left parser
-     * @template C
-     * @param {Parser<B,C>} next Next parser
-     * @returns {Parser<A,B>}
-     * @description Makes both left and right parsers to work but
-     * returns result of the left one only
-     * @example
-     * ~~~js
-     * const parser = exactQuote
-     *     .seq(untilQuote)   // return this text only
-     *     .pass(exactQuote); // make sure the closing quote exists but skip it
-     * ~~~
-     */
-    this.pass = next => {
-        const internal = input => {
-            const left = this._parse(input);
-            if (left) {
-                const right = next._parse(left);
-                return right && { parsed: left.parsed, rest: right.rest };
-            }
-        };
-        return new Parser(internal);
-    };
+/** @type {PrintFunction} */
+const cannotPrint = () => undefined;
 
-    /**
-     * Fallback to other parser if this one fails
-     * @param {Parser<A,B>} other Alternative parser of the same type
-     * @returns {Parser<A,B>}
-     * @example
-     * ~~~js
-     * const contentParser = linkParser.or(boldParser).or(italicParser).or(whateverElseParser);
-     * ~~~
-     */
-    this.or = other => {
-        const internal = input =>
-            this._parse(input) || other._parse(input);
-        return new Parser(internal);
-    };
+/**
+ * Concatenate the printed texts
+ * @param {(string|undefined)[]} texts Printed texts
+ * @returns {string|undefined} Undefined if any of the values could not be printed
+ */
+const printAll = texts => texts.includes(undefined)
+    ? undefined
+    : texts.join('');
 
-    /**
-     * Repeat modifier
-     * @param {number} [min] Minimal allowed iteration. Ignored if zero.
-     * @param {number} [max] Maximal allowed iterations. Ignored if zero.
-     * @param {Predicate} [condition] Auxilliary condition to go on (when needed)
-     * @returns {Parser<A,B[]>}
-     * @description Repeats the parser several times
-     * @example
-     * ~~~js
-     * const isDigit = c => '0123456789'.includes(c);
-     * 
-     * // Much the same as /^\d+\. +(.*)/
-     * const orderedItemParser = Parser
-     *     .sat(isDigit).many(1)
-     *     .pass(Parser.char('.'))
-     *     .pass(Parser.char(' ').many(1))
-     *     .seq(untilLineBreak);
-     * ~~~
-     */
-    this.many = (min, max, condition) => {
-        const internal = input => { 
-            let text = input.rest;
+/**
+ * Check if the values are the same, comparing arrays and objects by their contents
+ * @param {any} left Value to compare
+ * @param {any} right Value to compare
+ * @returns {boolean}
+ */
+const isSameValue = (left, right) => {
+    if (Object.is(left, right)) {
+        return true;
+    }
 
-            /** @type {B[]} */
-            const elements = [];
+    if (Array.isArray(left) || Array.isArray(right)) {
+        return Array.isArray(left) && Array.isArray(right) && left.length == right.length
+            && left.every((item, index) => isSameValue(item, right[index]));
+    }
+
+    if (!isRecord(left) || !isRecord(right)) {
+        return false;
+    }
+
+    const keys = Object.keys(left);
+
+    return keys.length == Object.keys(right).length
+        && keys.every(key => Object.prototype.hasOwnProperty.call(right, key) && isSameValue(left[key], right[key]));
+};
+
+/** @type {Position} */
+const START = { offset: 0, line: 1, column: 1 };
+
+/**
+ * @typedef {object} RunOptions Options of a parser run
+ * @property {Position} [origin] Position of the text start
+ * @property {boolean} [partial] More text may follow
+ * @property {any} [state] Initial user-defined state
+ * @property {boolean|((trace: TraceNode) => void)} [trace] Record calls of the labeled parsers.
+ * When a function is provided, it is called with the trace after the run.
+ */
+
+/**
+ * Make initial state for a new parser run
+ * @param {string} text Text to parse
+ * @param {RunOptions} [options] Run options
+ * @returns {State<any>}
+ */
+const begin = (text, options = {}) => ({
+    source: text,
+    offset: 0,
+    base: 0,
+    verbatim: true,
+    diagnostics: undefined,
+    committed: false,
+    userState: options.state,
+    indent: undefined,
+    fragment: undefined,
+    context: {
+        document: text,
+        origin: options.origin || START,
+        partial: Boolean(options.partial),
+        hungry: false,
+        furthest: -1,
+        failed: undefined,
+        failedOffset: 0,
+        expected: new Set(),
+        memo: new Map(),
+        evaluating: [],
+        trace: options.trace ? new TraceNode('(parse)', START) : undefined,
+    },
+});
+
+/**
+ * Make state which follows the given one
+ * @template A,B
+ * @description All states share the same set of properties which keeps the hot paths monomorphic.
+ * @param {State<A>} input Previous state
+ * @param {B} parsed Parsed value
+ * @param {number} offset Position of the unparsed rest
+ * @param {number|Record<string,number>} [fragment] Offset of the parsed value in the source when it is a fragment of it
+ * @returns {State<B>}
+ */
+const advance = (input, parsed, offset, fragment) => ({
+    parsed,
+    source: input.source,
+    offset,
+    base: input.base,
+    verbatim: input.verbatim,
+    context: input.context,
+    diagnostics: input.diagnostics,
+    committed: input.committed,
+    userState: input.userState,
+    indent: input.indent,
+    fragment,
+});
+
+/**
+ * Make state for parsing a fragment of the text instead of its unparsed rest
+ * @param {State<any>} input State before the fragment was parsed
+ * @param {State<any>} left State after the fragment was parsed
+ * @param {string} [key] Name of the property which holds the fragment, the parsed value itself if omitted
+ * @returns {State<any>}
+ * @description Positions within the fragment point into the original document when its offset is known:
+ * the parsers which return a part of their text tell where it starts (e.g. `Parser.brackets`,
+ * capture groups of `Parser.regex`), and the value which is the very text consumed by its parser
+ * starts where the parser started. Positions within other fragments (e.g. decoded by `Parser.quoted`
+ * or made up with `fmap`) are all the one where their parser started.
+ */
+const enter = (input, left, key) => {
+    const fragment = key ? left.parsed[key] : left.parsed;
+    const known = key
+        ? isRecord(left.fragment) ? left.fragment[key] : undefined
+        : typeof left.fragment == 'number' ? left.fragment : undefined;
+
+    let start = known;
+
+    if (start === undefined) {
+        const consumed = input.source.slice(input.offset, left.offset);
+
+        const whole = typeof fragment == 'string'
+            ? consumed === fragment
+            : Array.isArray(fragment) && fragment.length == consumed.length
+                && fragment.every((item, index) => item === consumed[index]);
+
+        start = whole ? input.offset : undefined;
+    }
+
+    const verbatim = input.verbatim && start !== undefined;
+
+    return {
+        source: fragment,
+        offset: 0,
+        base: verbatim ? input.base + start : documentOffset(input, input.offset),
+        verbatim,
+        context: input.context,
+        diagnostics: input.diagnostics,
+        committed: left.committed,
+        userState: left.userState,
+        indent: left.indent,
+        fragment: undefined,
+    };
+};
+
+/**
+ * Make state which goes on with the text after a fragment of it was parsed
+ * @template A
+ * @param {State<any>} outer State after the fragment was parsed as a part of the text
+ * @param {State<any>} inner State after the fragment was parsed on its own
+ * @param {A} parsed Parsed value
+ * @param {Record<string,number>} [fragment] Offsets of the saved fragments of the outer text
+ * @returns {State<A>}
+ */
+const leave = (outer, inner, parsed, fragment) => ({
+    parsed,
+    source: outer.source,
+    offset: outer.offset,
+    base: outer.base,
+    verbatim: outer.verbatim,
+    context: outer.context,
+    diagnostics: inner.diagnostics,
+    committed: inner.committed,
+    userState: inner.userState,
+    indent: inner.indent,
+    fragment,
+});
+
+/**
+ * Make copy of the state with some of the properties which are not about the position changed
+ * @template A
+ * @param {State<A>} state Parsing state
+ * @param {Partial<Pick<State<A>,'diagnostics'|'committed'|'userState'|'indent'>>} changes Properties to change
+ * @returns {State<A>}
+ */
+const derive = (state, changes) => ({
+    parsed: state.parsed,
+    source: state.source,
+    offset: state.offset,
+    base: state.base,
+    verbatim: state.verbatim,
+    context: state.context,
+    diagnostics: 'diagnostics' in changes ? changes.diagnostics : state.diagnostics,
+    committed: 'committed' in changes ? changes.committed : state.committed,
+    userState: 'userState' in changes ? changes.userState : state.userState,
+    indent: 'indent' in changes ? changes.indent : state.indent,
+    fragment: state.fragment,
+});
+
+/**
+ * Get the recovered errors in the order they have happened
+ * @param {Diagnostics|undefined} diagnostics Errors recovered from
+ * @returns {ParseError[]}
+ */
+const listDiagnostics = diagnostics => {
+    const errors = [];
+
+    for (let item = diagnostics; item; item = item.previous) {
+        errors.push(item.error);
+    }
+
+    return errors.reverse();
+};
+
+/**
+ * Move the errors which a parser has recovered from onto other errors
+ * @param {Diagnostics|undefined} diagnostics Errors after the parser has run
+ * @param {Diagnostics|undefined} before Errors before the parser has run
+ * @param {Diagnostics|undefined} base Errors to move onto
+ * @returns {Diagnostics|undefined}
+ * @description Lets memoized results be reused after other errors were recovered from.
+ */
+const rebaseDiagnostics = (diagnostics, before, base) => {
+    if (diagnostics === before) {
+        return base;
+    }
+
+    return { error: diagnostics.error, previous: rebaseDiagnostics(diagnostics.previous, before, base) };
+};
+
+/**
+ * Thrown when a parser fails after some other has committed, so that no choice point backtracks
+ */
+class HardFailure {}
+
+/**
+ * Register parser failure
+ * @param {State<any>} input State on which the parser has failed
+ * @param {string} [expected] Description of what was expected
+ * @param {number} [offset] Position of the failure if it differs from the input's one
+ * @returns {undefined}
+ * @throws {HardFailure} When the input is committed
+ * @description Only the failures which happen at the furthest offset are remembered:
+ * they are the ones to report when the whole parsing fails.
+ */
+const fail = (input, expected, offset = input.offset) => {
+    const context = input.context;
+    const position = documentOffset(input, offset);
+
+    if (position > context.furthest) {
+        context.furthest = position;
+        context.failed = input;
+        context.failedOffset = offset;
+        context.expected = new Set();
+    }
+
+    if (expected && position == context.furthest) {
+        context.expected.add(expected);
+    }
+
+    if (input.committed) {
+        throw new HardFailure();
+    }
+
+    return undefined;
+};
+
+/**
+ * Give up the alternatives of a choice point
+ * @param {State<any>} input State on which the choice point has started
+ * @returns {undefined}
+ * @throws {HardFailure} When the input is committed
+ */
+const backtrack = input => input.committed
+    ? fail(input)
+    : undefined;
+
+/**
+ * Fail expecting any of the items
+ * @param {State<any>} input State on which the parser has failed
+ * @param {string[]} expected Descriptions of the expected items
+ * @returns {undefined}
+ * @throws {HardFailure} When the input is committed, after all the items are recorded
+ */
+const failAll = (input, expected) => {
+    const soft = input.committed
+        ? derive(input, { committed: false })
+        : input;
+
+    expected.forEach(item => fail(soft, item));
+
+    return fail(input);
+};
+
+/**
+ * Try an alternative of a choice point
+ * @template A,B
+ * @param {ParseFunction<A,B>} parse Alternative's parsing function
+ * @param {State<A>} input State on which the choice point has started
+ * @returns {Maybe<B>}
+ * @description The alternative may fail (and be backtracked from) unless it commits by itself.
+ */
+const attempt = (parse, input) => {
+    if (!input.committed) {
+        return parse(input);
+    }
+
+    const result = parse(derive(input, { committed: false }));
+
+    return result && !result.committed
+        ? derive(result, { committed: true })
+        : result;
+};
+
+/**
+ * Run the parsing function which may fail hard
+ * @template A,B
+ * @param {ParseFunction<A,B>} parse Parsing function
+ * @param {State<A>} input Parsing state
+ * @returns {Maybe<B>}
+ */
+const settle = (parse, input) => {
+    try {
+        return parse(input);
+    } catch (e) {
+        if (e instanceof HardFailure) {
+            return undefined;
+        }
+        throw e;
+    }
+};
+
+/**
+ * @typedef {object} Failures The furthest failure of the run, see `Context`
+ * @property {number} furthest
+ * @property {State<any>} failed
+ * @property {number} failedOffset
+ * @property {Set<string>} expected
+ */
+
+/**
+ * Forget the failures so far, so that the following ones can be reported separately
+ * @param {Context} context Context of the run
+ * @returns {Failures} The forgotten failures
+ */
+const isolateFailures = context => {
+    const { furthest, failed, failedOffset, expected } = context;
+
+    Object.assign(context, { furthest: -1, failed: undefined, failedOffset: 0, expected: new Set() });
+
+    return { furthest, failed, failedOffset, expected };
+};
+
+/**
+ * Bring back the forgotten failures unless the later ones are further
+ * @param {Context} context Context of the run
+ * @param {Failures} failures Forgotten failures
+ */
+const mergeFailures = (context, failures) => {
+    if (failures.furthest > context.furthest) {
+        Object.assign(context, failures);
+    } else if (failures.furthest == context.furthest) {
+        failures.expected.forEach(item => context.expected.add(item));
+    }
+};
+
+/**
+ * Get position of the token in the document
+ * @param {any[]} tokens Tokens
+ * @param {number} offset Index of the token
+ * @returns {Position|undefined} Start of the token, or end of the last one past the end of the array.
+ * Undefined if the tokens have no positions.
+ */
+const tokenPosition = (tokens, offset) => {
+    const token = offset < tokens.length
+        ? tokens[offset]
+        : tokens[tokens.length - 1];
+
+    const position = token && (offset < tokens.length ? token.start : token.end);
+
+    return position && typeof position.offset == 'number'
+        ? position
+        : undefined;
+};
+
+/**
+ * Get offset in the document
+ * @param {State<any>} input Parsing state
+ * @param {number} offset Offset within the state's source
+ * @returns {number}
+ * @description Offsets of tokens are the ones of their text.
+ */
+const documentOffset = (input, offset) => {
+    const position = typeof input.source == 'string'
+        ? undefined
+        : tokenPosition(input.source, offset);
+
+    return position
+        ? position.offset
+        : input.verbatim ? input.base + offset : input.base;
+};
+
+/**
+ * Make a readable description of the literal text
+ * @param {string} text Literal text
+ * @returns {string}
+ */
+const describe = text => `'${JSON.stringify(text).slice(1, -1).replace(/\\"/g, '"')}'`;
+
+/**
+ * Check if there is unparsed text left
+ * @param {State<any>} input Parsing state
+ * @returns {boolean}
+ */
+const hasInput = input => {
+    if (input.offset < input.source.length) {
+        return true;
+    }
+
+    wantMore(input);
+    return false;
+};
+
+/**
+ * Note that the parser has reached the end of the text while more of it may follow
+ * @param {State<any>} input Parsing state
+ */
+const wantMore = input => {
+    const context = input.context;
+
+    if (context.partial && input.source === context.document) {
+        context.hungry = true;
+    }
+};
+
+/**
+ * Check if the unparsed text starts with the template
+ * @param {State<any>} input Parsing state
+ * @param {string} template Template to match
+ * @returns {boolean}
+ */
+const startsWith = (input, template) => {
+    const { source, offset } = input;
+
+    if (typeof source != 'string') {
+        return false;
+    }
+
+    if (source.startsWith(template, offset)) {
+        return true;
+    }
+
+    if (source.length - offset < template.length && template.startsWith(source.slice(offset))) {
+        wantMore(input);
+    }
+
+    return false;
+};
+
+/**
+ * @typedef {'codeUnit'|'codePoint'|'grapheme'} CharUnit What a single character of the text is:
+ * UTF-16 code unit (the default), Unicode code point or grapheme cluster (a user-perceived character,
+ * e.g. a letter with combining marks or an emoji sequence)
+ *
+ * @typedef {object} CharOptions Options of the single character parsers
+ * @property {CharUnit} [unit] What a single character is
+ * @property {boolean} [ignoreCase] Match characters regardless of their case (only `Parser.char` supports it)
+ */
+
+/** @type {Intl.Segmenter|undefined} */
+let graphemeSegmenter;
+
+/**
+ * Get the grapheme cluster at the offset
+ * @param {string} source Text
+ * @param {number} offset Offset of the cluster
+ * @returns {string}
+ * @description Only a window of the text is segmented, so the search time does not depend on the text length.
+ */
+const graphemeAt = (source, offset) => {
+    if (!graphemeSegmenter) {
+        graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+    }
+
+    for (let size = 16; ; size *= 4) {
+        const window = source.slice(offset, offset + size);
+        const { segment } = graphemeSegmenter.segment(window).containing(0);
+
+        if (segment.length < window.length || offset + size >= source.length) {
+            return segment;
+        }
+    }
+};
+
+/**
+ * Get the character next to the parsed text
+ * @param {State<any>} input Parsing state with some unparsed text
+ * @param {CharUnit} [unit] What a single character is
+ * @param {number} [offset] Offset of the character if it differs from the state's one
+ * @returns {any} Character (or token)
+ */
+const nextChar = (input, unit, offset = input.offset) => {
+    const source = input.source;
+
+    if (!unit || unit == 'codeUnit' || typeof source != 'string') {
+        return source[offset];
+    }
+
+    if (unit == 'grapheme') {
+        const cluster = graphemeAt(source, offset);
+
+        if (offset + cluster.length == source.length) {
+            // Combining marks may follow in the next chunk of the stream
+            wantMore(input);
+        }
+
+        return cluster;
+    }
+
+    const code = source.charCodeAt(offset);
+
+    if (code >= 0xd800 && code <= 0xdbff) {
+        const next = source.charCodeAt(offset + 1);
+
+        if (next >= 0xdc00 && next <= 0xdfff) {
+            return source.slice(offset, offset + 2);
+        }
+
+        if (offset + 1 == source.length) {
+            // The low surrogate may come in the next chunk of the stream
+            wantMore(input);
+        }
+    }
+
+    return source[offset];
+};
+
+/**
+ * Fold the case of the text for case-insensitive comparison
+ * @param {string} text Text to fold
+ * @returns {string}
+ * @description Upper-casing first makes the letters with several lower case forms (e.g. Greek sigma) equal.
+ */
+const foldCase = text => text.toUpperCase().toLowerCase();
+
+/**
+ * @typedef {object} TrieNode Node of the strings trie
+ * @property {Map<string,TrieNode>} children Nodes by the next code point (case-folded when ignoring case)
+ * @property {number} index Index of the string which ends at the node, -1 if none does
+ */
+
+/**
+ * Make trie of the strings
+ * @param {string[]} strings Strings
+ * @param {boolean} ignoreCase Fold case of the strings
+ * @returns {TrieNode}
+ */
+const makeTrie = (strings, ignoreCase) => {
+    /** @type {TrieNode} */
+    const root = { children: new Map(), index: -1 };
+
+    strings.forEach((text, index) => {
+        let node = root;
+
+        for (const char of text) {
+            const key = ignoreCase ? foldCase(char) : char;
+            let next = node.children.get(key);
+
+            if (!next) {
+                next = { children: new Map(), index: -1 };
+                node.children.set(key, next);
+            }
+
+            node = next;
+        }
+
+        if (node.index < 0) {
+            node.index = index;
+        }
+    });
+
+    return root;
+};
+
+/**
+ * Find the strings of the trie which the unparsed text starts with
+ * @param {State<any>} input Parsing state
+ * @param {TrieNode} root Trie of the strings
+ * @param {boolean} ignoreCase The trie is case-folded
+ * @returns {{ index: number, end: number }[]} Indices of the strings along with the offsets next to them,
+ * shortest first
+ */
+const matchTrie = (input, root, ignoreCase) => {
+    const source = input.source;
+    const matches = [];
+
+    let node = root;
+    let offset = input.offset;
+
+    while (node) {
+        if (node.index >= 0) {
+            matches.push({ index: node.index, end: offset });
+        }
+
+        if (!node.children.size || typeof source != 'string') {
+            break;
+        }
+
+        if (offset >= source.length) {
+            wantMore(input);
+            break;
+        }
+
+        const char = nextChar(input, 'codePoint', offset);
+
+        node = node.children.get(ignoreCase ? foldCase(char) : char);
+        offset += char.length;
+    }
+
+    return matches;
+};
+
+const WORD_CHAR = /^[\p{L}\p{M}\p{N}_]/u;
+
+/**
+ * Check that no word character follows the offset
+ * @param {State<any>} input Parsing state
+ * @param {number} offset Offset to check at
+ * @returns {boolean}
+ */
+const atWordEnd = (input, offset) => {
+    if (offset >= input.source.length) {
+        wantMore(input);
+        return true;
+    }
+
+    return !WORD_CHAR.test(nextChar(input, 'codePoint', offset));
+};
+
+const ESCAPES = {
+    b: '\b',
+    f: '\f',
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    v: '\v',
+    0: '\0',
+};
+
+/**
+ * Read the escape sequence
+ * @param {string} source Text
+ * @param {number} offset Offset of the escaped character (next to the escape character)
+ * @param {boolean} decode Decode the standard sequences: `\n` and alike, `\xXX`, `\uXXXX` and `\u{X...}`
+ * @returns {{ text: string, end: number }|undefined} Decoded character and the offset after the sequence,
+ * undefined at the end of the text
+ */
+const readEscape = (source, offset, decode) => {
+    if (offset >= source.length) {
+        return undefined;
+    }
+
+    const code = decode && /^(?:x([0-9a-fA-F]{2})|u([0-9a-fA-F]{4})|u\{([0-9a-fA-F]{1,6})\})/
+        .exec(source.slice(offset, offset + 10));
+    const point = code && parseInt(code[1] || code[2] || code[3], 16);
+
+    if (code && point <= 0x10ffff) {
+        return { text: String.fromCodePoint(point), end: offset + code[0].length };
+    }
+
+    const char = String.fromCodePoint(source.codePointAt(offset));
+
+    return {
+        text: decode && char in ESCAPES ? ESCAPES[char] : char,
+        end: offset + char.length,
+    };
+};
+
+/**
+ * Make expression which checks if the text from the position to its end may begin a match of the pattern,
+ * so that appending more text could make the match succeed or change
+ * @param {string} source Source of the regular expression
+ * @param {string} flags Flags of the regular expression without `g` and `y`
+ * @returns {RegExp|undefined} Sticky expression, undefined for back references and class set syntax
+ * which it cannot follow
+ */
+const makePrefixExpression = (source, flags) => {
+    if (flags.includes('v')) {
+        return undefined;
+    }
+
+    const unicode = flags.includes('u');
+    const atEnd = '(?![^])';
+    let index = 0;
+
+    const read = expression => {
+        expression.lastIndex = index;
+
+        const match = expression.exec(source);
+
+        if (match) {
+            index += match[0].length;
+        }
+        return match;
+    };
+
+    // Every part of the pattern is rewritten twice: as itself and as its part cut by the end of text,
+    // the latter also looks into lookaheads since they scan the text too
+    const readAlternatives = () => {
+        const branches = [readSequence()];
+
+        while (read(/\|/y)) {
+            branches.push(readSequence());
+        }
+
+        return {
+            whole: branches.map(branch => branch.whole).join('|'),
+            prefix: branches.map(branch => branch.prefix).join('|'),
+        };
+    };
+
+    const readSequence = () => {
+        const terms = [];
+
+        while (index < source.length && source[index] != '|' && source[index] != ')') {
+            terms.push(readTerm());
+        }
+
+        return terms.reduceRight((rest, term) => ({
+            whole: term.whole + rest.whole,
+            prefix: `(?:${term.whole}(?:${rest.prefix})|${term.prefix})`,
+        }), { whole: '', prefix: '(?!)' });
+    };
+
+    const readTerm = () => {
+        const atom = readAtom();
+        const quantifier = read(/(?:[*+?]|\{(\d+)(?:(,)(\d*))?\})\??/y);
+
+        if (!quantifier) {
+            return atom;
+        }
+
+        const max = quantifier[0][0] == '?' ? 1
+            : quantifier[0][0] != '{' || quantifier[2] && !quantifier[3] ? Infinity
+            : Number(quantifier[3] || quantifier[1]);
+        const repeated = max == Infinity ? '*' : `{0,${max - 1}}`;
+
+        return {
+            whole: atom.whole + quantifier[0],
+            prefix: max == 0 ? atEnd
+                : max == 1 ? atom.prefix
+                : `(?:${atom.whole})${repeated}(?:${atom.prefix})`,
+        };
+    };
+
+    const readAtom = () => {
+        const group = read(/\((\?(?:[:=!]|<[=!]|<[^>]*>))?/y);
+
+        if (group) {
+            const inner = readAlternatives();
+            const kind = group[1] || '';
+
+            read(/\)/y);
+
+            if (kind == '?=' || kind == '?!') {
+                return { whole: `(${kind}${inner.whole})`, prefix: `(?=${inner.prefix})` };
+            }
+            if (kind == '?<=' || kind == '?<!') {
+                return { whole: `(${kind}${inner.whole})`, prefix: atEnd };
+            }
+            return { whole: `(?:${inner.whole})`, prefix: `(?:${inner.prefix})` };
+        }
+
+        if (read(/\\(?:[1-9]|k<)/y)) {
+            throw new SyntaxError('Back references are not supported');
+        }
+
+        const single = read(unicode
+            ? /\\(?:u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|[pP]\{[^}]*\}|[^])|\[(?:\\[^]|[^\]\\])*\]|[^]/uy
+            : /\\(?:u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[a-zA-Z]|[^])|\[(?:\\[^]|[^\]\\])*\]|[^]/y);
+
+        return { whole: single[0], prefix: atEnd };
+    };
+
+    try {
+        return new RegExp(readAlternatives().prefix, flags + 'y');
+    } catch (e) {
+        return undefined;
+    }
+};
+
+/**
+ * Check if the text at the offset starts with the template made of whole characters
+ * @param {State<any>} input Parsing state
+ * @param {CharUnit} [unit] What a single character is
+ * @param {number} offset Offset to check at
+ * @param {string} template Template to match
+ * @returns {boolean}
+ */
+const matchesAt = (input, unit, offset, template) => {
+    const source = input.source;
+
+    if (!unit || unit == 'codeUnit') {
+        return source.startsWith(template, offset);
+    }
+
+    let index = offset;
+
+    while (index < offset + template.length) {
+        if (index >= source.length) {
+            return false;
+        }
+
+        const char = nextChar(input, unit, index);
+
+        if (!template.startsWith(char, index - offset)) {
+            return false;
+        }
+        index += char.length;
+    }
+
+    return true;
+};
+
+/**
+ * Skip spaces and tabs
+ * @param {State<any>} input Parsing state
+ * @param {number} offset Offset to start at
+ * @returns {number} Offset of the first other character
+ */
+const skipBlanks = (input, offset) => {
+    const source = input.source;
+
+    while (offset < source.length && (source[offset] == ' ' || source[offset] == '\t')) {
+        ++offset;
+    }
+
+    if (offset >= source.length) {
+        wantMore(input);
+    }
+
+    return offset;
+};
+
+/**
+ * Skip the line break along with the blank lines which follow it
+ * @param {State<any>} input Parsing state
+ * @param {number} offset Offset of the line break
+ * @returns {number} Start of the next line which is not blank, -1 if there is no line break at the offset
+ */
+const skipLineBreaks = (input, offset) => {
+    const source = input.source;
+    let lineStart = -1;
+
+    for (;;) {
+        const index = source[offset] == '\r' ? offset + 1 : offset;
+
+        if (index >= source.length) {
+            wantMore(input);
+        }
+
+        if (source[index] != '\n') {
+            return lineStart;
+        }
+
+        lineStart = index + 1;
+        offset = skipBlanks(input, lineStart);
+    }
+};
+
+/**
+ * Get the column of the offset within its line
+ * @param {string} source Text
+ * @param {number} offset Offset in the text
+ * @param {number} tabWidth Distance between the tab stops
+ * @returns {number} Zero-based column, tabs are expanded to the next tab stop
+ */
+const columnOf = (source, offset, tabWidth) => {
+    const lineStart = offset ? source.lastIndexOf('\n', offset - 1) + 1 : 0;
+    let column = 0;
+
+    for (let index = lineStart; index < offset; ++index) {
+        column = source[index] == '\t'
+            ? column - column % tabWidth + tabWidth
+            : column + 1;
+    }
+
+    return column;
+};
+
+/**
+ * Get the unparsed rest of the text
+ * @param {State<any>} input Parsing state
+ * @returns {string}
+ */
+const restOf = input => input.source.slice(input.offset);
+
+/**
+ * Test the unparsed rest of the source
+ * @param {Condition} condition Condition to test
+ * @param {string} source Text being parsed
+ * @param {number} offset Position of the unparsed rest
+ * @returns {boolean}
+ */
+const testRest = (condition, source, offset) => typeof condition == 'function'
+    ? condition(source.slice(offset))
+    : condition.at(source, offset);
+
+/**
+ * Convert internal state to the public parsing result
+ * @template A
+ * @param {State<A>} state Parsing state
+ * @returns {Just<A>}
+ */
+const toJust = state => 'parsed' in state
+    ? { parsed: state.parsed, rest: restOf(state) }
+    : { rest: restOf(state) };
+
+/**
+ * Get position in the document
+ * @param {Context} context Context of the run
+ * @param {number} offset Document offset
+ * @returns {Position}
+ */
+const positionAt = (context, offset) => {
+    if (!context.lines) {
+        const document = context.document;
+        const lines = [0];
+
+        if (typeof document == 'string') {
+            for (let index = document.indexOf('\n'); index >= 0; index = document.indexOf('\n', index + 1)) {
+                lines.push(index + 1);
+            }
+        }
+
+        context.lines = lines;
+    }
+
+    const lines = context.lines;
+    let low = 0;
+    let high = lines.length - 1;
+
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+
+        if (lines[middle] <= offset) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+
+    const origin = context.origin;
+
+    return {
+        offset: origin.offset + offset,
+        line: origin.line + low,
+        column: low ? offset - lines[low] + 1 : origin.column + offset,
+    };
+};
+
+/**
+ * Get position of the state in the document
+ * @param {State<any>} input Parsing state
+ * @param {number} [offset] Offset within the state's source if it differs from the state's one
+ * @returns {Position}
+ */
+const positionOf = (input, offset = input.offset) => {
+    const position = typeof input.source == 'string'
+        ? undefined
+        : tokenPosition(input.source, offset);
+
+    return position || positionAt(input.context, input.verbatim ? input.base + offset : input.base);
+};
+
+/**
+ * Get position next to the text parsed before the state
+ * @param {State<any>} state Parsing state
+ * @returns {Position}
+ * @description Differs from `positionOf` for tokens: skipped text between them is not included.
+ */
+const positionAfter = state => {
+    const source = state.source;
+
+    if (typeof source != 'string' && state.offset > 0) {
+        const token = source[state.offset - 1];
+
+        if (token && token.end && typeof token.end.offset == 'number') {
+            return token.end;
+        }
+    }
+
+    return positionOf(state);
+};
+
+/**
+ * Describe the character or token
+ * @param {any} item Character or token
+ * @returns {string}
+ */
+const describeItem = item => {
+    if (typeof item == 'string') {
+        return describe(item);
+    }
+
+    return item && typeof item == 'object' && 'type' in item
+        ? `${item.type} ${describe(String(item.text === undefined ? item.value : item.text))}`
+        : describe(String(item));
+};
+
+/**
+ * Join descriptions into a human readable list
+ * @param {string[]} items Descriptions
+ * @returns {string}
+ */
+const listOf = items => items.length > 1
+    ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}`
+    : items[0];
+
+/**
+ * Error thrown when the text cannot be parsed
+ */
+class ParseError extends Error {
+    /**
+     * @param {Position} position Position of the error
+     * @param {string[]} expected Descriptions of what was expected at the position
+     * @param {string} [unexpected] Description of what was found at the position (end of input if omitted)
+     */
+    constructor(position, expected, unexpected) {
+        const problem = expected.length
+            ? `expected ${listOf(expected)}`
+            : `unexpected ${unexpected || 'end of input'}`;
+
+        super(`${problem} at ${position.line}:${position.column}`);
+
+        this.name = 'ParseError';
+
+        /** Position of the error in the text */
+        this.offset = position.offset;
+
+        /** One-based line of the error */
+        this.line = position.line;
+
+        /** One-based column of the error */
+        this.column = position.column;
+
+        /** Descriptions of what was expected at the position */
+        this.expected = expected;
+    }
+}
+
+/**
+ * Call of a labeled parser recorded while tracing
+ */
+class TraceNode {
+    /**
+     * @param {string} name Parser label
+     * @param {Position} start Position where the parser has started
+     */
+    constructor(name, start) {
+        /** Parser label */
+        this.name = name;
+
+        /** Position where the parser has started */
+        this.start = start;
+
+        /**
+         * Position where the parser has stopped (when succeeded)
+         * @type {Position|undefined}
+         */
+        this.end = undefined;
+
+        /** The parser has succeeded */
+        this.success = false;
+
+        /**
+         * Text consumed by the parser (when succeeded)
+         * @type {string|undefined}
+         */
+        this.text = undefined;
+
+        /**
+         * Calls of the labeled parsers made by this one
+         * @type {TraceNode[]}
+         */
+        this.children = [];
+    }
+
+    /**
+     * Make indented text report of the calls
+     * @returns {string}
+     * @example
+     * ~~~
+     * + (parse) 1:1-1:5 "a,bc"
+     *   + item 1:1-1:2 "a"
+     *   - number 1:3
+     *   + item 1:3-1:5 "bc"
+     * ~~~
+     */
+    toString() {
+        /** @type {string[]} */
+        const lines = [];
+
+        const report = (node, indent) => {
+            const { start, end } = node;
+
+            const summary = node.success
+                ? `+ ${node.name} ${start.line}:${start.column}-${end.line}:${end.column} ${JSON.stringify(node.text)}`
+                : `- ${node.name} ${start.line}:${start.column}`;
+
+            lines.push(indent + summary);
+            node.children.forEach(child => report(child, indent + '  '));
+        };
+
+        report(this, '');
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Complete the trace node
+ * @param {TraceNode} node Trace node
+ * @param {State<any>} input State on which the parser has started
+ * @param {Maybe<any>} result Parsing result
+ */
+const finishTrace = (node, input, result) => {
+    node.start = positionOf(input);
+    node.success = Boolean(result);
+
+    if (result) {
+        const consumed = input.source.slice(input.offset, result.offset);
+
+        node.end = positionAfter(result);
+        node.text = typeof consumed == 'string'
+            ? consumed
+            : consumed.map(item => item && item.text !== undefined ? item.text : String(item)).join(' ');
+    }
+};
+
+/**
+ * Run the parser over the text
+ * @param {Parser<any,any>} parser Parser to run
+ * @param {string|any[]} text Text (or array of tokens) to parse
+ * @param {RunOptions} options Run options
+ * @returns {{ context: Context, result: Maybe<any> }}
+ */
+const run = (parser, text, options) => {
+    const input = begin(text, options);
+    const context = input.context;
+    const root = context.trace;
+
+    /** @type {Maybe<any>} */
+    let result;
+
+    try {
+        result = settle(parser._parse, input);
+    } finally {
+        if (root) {
+            finishTrace(root, input, result);
+            context.trace = root;
+
+            if (typeof options.trace == 'function') {
+                options.trace(root);
+            }
+        }
+    }
+
+    return { context, result };
+};
+
+/**
+ * Convert successful run result to the public one
+ * @template A
+ * @param {Context} context Context of the run
+ * @param {State<A>} result Parsing result
+ * @param {RunOptions} options Run options
+ * @returns {Just<A>}
+ */
+const finish = (context, result, options) => {
+    const just = toJust(result);
+
+    if (result.diagnostics) {
+        just.diagnostics = listDiagnostics(result.diagnostics);
+    }
+
+    if (options.trace === true) {
+        just.trace = context.trace;
+    }
+
+    if ('state' in options) {
+        just.state = result.userState;
+    }
+
+    return just;
+};
+
+/**
+ * Make error which describes the furthest failure of the run
+ * @param {Context} context Context of the failed run
+ * @returns {ParseError}
+ */
+const makeError = context => {
+    const failed = context.failed;
+
+    if (!failed) {
+        return new ParseError(positionAt(context, 0), [...context.expected]);
+    }
+
+    const offset = context.failedOffset;
+    const found = offset < failed.source.length
+        ? describeItem(failed.source[offset])
+        : undefined;
+
+    return new ParseError(positionOf(failed, offset), [...context.expected], found);
+};
+
+/**
+ * Make parser for elements separated with separators
+ * @template A,B,S
+ * @param {Parser<A,B>} element Element parser
+ * @param {Parser<any,S>} separator Separator parser
+ * @param {number} [min] Minimal number of elements. Ignored if zero.
+ * @param {number} [max] Maximal number of elements. Ignored if zero.
+ * @returns {Parser<A,{ elements: B[], separators: S[] }>}
+ * @description A separator which is not followed by an element is left unparsed.
+ */
+const separated = (element, separator, min, max) => {
+    const separatedElement = input => {
+        const next = separator._parse(input);
+        const result = next && element._parse(next);
+
+        return result && advance(result, { separator: next.parsed, element: result.parsed }, result.offset);
+    };
+
+    const internal = input => {
+        const first = attempt(element._parse, input);
+
+        if (!first) {
+            return min
+                ? backtrack(input)
+                : advance(input, { elements: [], separators: [] }, input.offset);
+        }
+
+        const elements = [first.parsed];
+        const separators = [];
+        let state = first;
+
+        while (!max || elements.length <= max) {
+            const result = attempt(separatedElement, state);
+
+            if (!result) break;
+
+            if (result.offset == state.offset) {
+                throw new Error('Separated parsers have succeeded without consuming any text and would repeat endlessly');
+            }
+
+            separators.push(result.parsed.separator);
+            elements.push(result.parsed.element);
+            state = result;
+        }
+
+        return (max && elements.length > max) || (min && elements.length < min)
+            ? fail(state)
+            : advance(state, { elements, separators }, state.offset);
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => {
+        const elements = value === DISCARDED
+            ? Array.from({ length: min || 0 }, () => DISCARDED)
+            : isRecord(value) && value.elements;
+
+        if (!Array.isArray(elements) || (min && elements.length < min) || (max && elements.length > max)) {
+            return undefined;
+        }
+
+        const separators = Array.isArray(value.separators) ? value.separators : [];
+
+        return printAll(elements.flatMap((item, index) => index
+            ? [separator._print(index <= separators.length ? separators[index - 1] : DISCARDED), element._print(item)]
+            : [element._print(item)]));
+    };
+    return new Parser(internal, print);
+};
+
+/**
+ * Parser class
+ * @template A,B
+ * @param {ParseFunction<A,B>} parse Parsing function
+ * @param {PrintFunction} [print] Printing function, see `print()`
+ */
+function Parser(parse, print = cannotPrint) {
+    this._parse = parse;
+    this._print = print;
+
+    /**
+     * @typedef {object} ParseOptions Parsing options
+     * @property {boolean|((trace: TraceNode) => void)} [trace] Record calls of the labeled parsers.
+     * The trace is returned in the `trace` property of the result (`ParseError` for `parseAll`),
+     * or passed to the function provided.
+     * @property {any} [state] Initial user-defined state, see `Parser.getState()`.
+     * The final state is returned in the `state` property of the result.
+     */
+
+    /**
+     * Try to parse text
+     * @param {string|any[]} text Text (or array of tokens) to parse
+     * @param {ParseOptions} [options] Parsing options
+     * @returns {Maybe<B>}
+     * @example
+     * ~~~js
+     * const { trace } = parser.parseText(text, { trace: true });
+     * 
+     * console.log(trace.toString());
+     * fs.writeFileSync('trace.json', JSON.stringify(trace));
+     * ~~~
+     */
+    this.parseText = (text, options = {}) => {
+        const { context, result } = run(this, text, options);
+        return result && finish(context, result, options);
+    };
+
+    /**
+     * Parse the whole text or throw
+     * @param {string|any[]} text Text (or array of tokens) to parse
+     * @param {ParseOptions} [options] Parsing options
+     * @returns {Just<B>}
+     * @throws {ParseError} When the text cannot be parsed to the end
+     * @example
+     * ~~~js
+     * const parser = Parser.char('[').seq(Parser.char(']').or(Parser.char('(')));
+     * 
+     * // Throws ParseError: expected ']' or '(' at 1:2
+     * parser.parseAll('[)');
+     * ~~~
+     */
+    this.parseAll = (text, options = {}) => {
+        const { context, result } = run(this.pass(Parser.end()), text, options);
+
+        if (!result) {
+            const error = makeError(context);
+
+            if (options.trace === true) {
+                error.trace = context.trace;
+            }
+
+            throw error;
+        }
+
+        return finish(context, result, options);
+    };
+
+    /**
+     * Print the value as text which the parser parses back into the same value
+     * @param {B} value Value to print
+     * @returns {string}
+     * @throws {Error} When the parser cannot print the value, or the text it prints parses into another value
+     * @description The primitives print what they match: `Parser.string`, `Parser.char`, `Parser.quoted`,
+     * `Parser.brackets`, `Parser.regex` (without a group) and the like. The combinators print the parts they
+     * are made of: `seq()`, `pass()`, `save()`, `bind()`, `many()`, `or()` (the first alternative which can print
+     * the value), `sepBy()`, `Parser.record()` and others. `fmap()` needs the inverse mapping, see `Parser.iso()`.
+     * `seqInversed()` and `bindInversed()` print the fragment with the right parser and then the left one around it.
+     * The results which the combinators discard are printed with the shortest text, e.g. `many()` prints
+     * the minimal number of elements and `Parser.whitespace()` prints nothing, and `Parser.regex` prints the text
+     * it is given for them.
+     * 
+     * Parsers which choose what follows by the parsed value or the state (`chain()`, `Parser.withState`)
+     * and `Parser.expression` (its `build` functions have no inverse) cannot print.
+     * 
+     * The text is parsed back to make sure the round trip holds.
+     * @example
+     * ~~~js
+     * const listParser = Parser.regex(/\d+/).fmap(Parser.iso(Number, String))
+     *     .sepBy(Parser.string(', '))
+     *     .between(Parser.char('['), Parser.char(']'));
+     * 
+     * expect(listParser.print([1, 22, 333])).to.equal('[1, 22, 333]');
+     * expect(listParser.parseAll('[1, 22, 333]').parsed).to.deep.equal([1, 22, 333]);
+     * ~~~
+     */
+    this.print = value => {
+        const text = this._print(value);
+
+        if (text === undefined) {
+            throw new Error(`The parser cannot print the ${describeType(value)} value`);
+        }
+
+        const result = this.parseText(text);
+
+        if (!result || result.rest || !isSameValue(result.parsed, value)) {
+            throw new Error(`Printed text ${JSON.stringify(text)} does not parse back into the value`);
+        }
+
+        return text;
+    };
+
+    /**
+     * @typedef {object} Feeder Push-style stream parser
+     * @property {(chunk: string) => B[]} push Add the next chunk of text and get the elements completed so far
+     * @property {() => B[]} end Finish the stream and get the rest of the elements
+     */
+
+    /**
+     * Make stream parser which parses repeated elements from the chunks of text
+     * @returns {Feeder}
+     * @description Works like `many()` over the concatenated chunks. An element is emitted as soon as
+     * it is complete: when its parser has succeeded without reaching the end of the received text.
+     * Otherwise the element is parsed again after the next chunk arrives.
+     * 
+     * Note that `Parser.regex` is considered complete when its match fails or ends before the end
+     * of the received text. Conditions of `Parser.peek` and `many()` see the received text only.
+     * @throws {ParseError} When an element cannot be parsed
+     * @example
+     * ~~~js
+     * const lineParser = Parser.regex(/[^\n]+/).pass(Parser.char('\n'));
+     * const feeder = lineParser.createFeeder();
+     * 
+     * expect(feeder.push('first\nsec')).to.deep.equal(['first']);
+     * expect(feeder.push('ond\nthird')).to.deep.equal(['second']);
+     * expect(feeder.push('\n')).to.deep.equal(['third']);
+     * expect(feeder.end()).to.deep.equal([]);
+     * ~~~
+     */
+    this.createFeeder = () => {
+        let buffer = '';
+        let origin = START;
+        let finished = false;
+
+        const drain = partial => {
+            /** @type {B[]} */
+            const elements = [];
+
+            // The elements share the run context, so the buffer is sliced and its lines are counted once
+            const start = begin(buffer, { origin, partial });
+            const context = start.context;
+            let offset = 0;
+
+            while (offset < buffer.length) {
+                isolateFailures(context);
+                context.hungry = false;
+
+                const result = settle(this._parse, advance(start, undefined, offset));
+
+                if (context.hungry) break;
+
+                if (!result) {
+                    throw makeError(context);
+                }
+
+                if (result.offset == offset) {
+                    throw new Error('Stream element parser has succeeded without consuming any text and would repeat endlessly');
+                }
+
+                elements.push(result.parsed);
+                offset = result.offset;
+            }
+
+            origin = positionAt(context, offset);
+            buffer = buffer.slice(offset);
+
+            return elements;
+        };
+
+        const push = chunk => {
+            if (finished) {
+                throw new Error('The stream has already ended');
+            }
+
+            buffer += chunk;
+            return drain(true);
+        };
+
+        const end = () => {
+            finished = true;
+            return drain(false);
+        };
+
+        return { push, end };
+    };
+
+    /**
+     * Parse repeated elements from a stream of text chunks
+     * @param {AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>} chunks Stream of text chunks, e.g. Node.js readable stream
+     * @returns {AsyncGenerator<B>} Parsed elements
+     * @description Binary chunks are decoded as UTF-8. See `createFeeder()` for details.
+     * @example
+     * ~~~js
+     * for await (const record of recordParser.parseStream(fs.createReadStream('log.txt'))) {
+     *     console.log(record);
+     * }
+     * ~~~
+     */
+    this.parseStream = chunks => {
+        const feeder = this.createFeeder();
+        const decoder = new TextDecoder();
+
+        const generate = async function* () {
+            for await (const chunk of chunks) {
+                yield* feeder.push(typeof chunk == 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+            }
+            yield* feeder.push(decoder.decode());
+            yield* feeder.end();
+        };
+
+        return generate();
+    };
+
+    /**
+     * Name the parser in error messages and traces
+     * @param {string} name Description of what the parser expects
+     * @returns {Parser<A,B>}
+     * @description When the parser fails without consuming any text,
+     * the name replaces whatever its internal parsers have expected.
+     * 
+     * Calls of the labeled parsers are recorded when parsing with the `trace` option.
+     * @example
+     * ~~~js
+     * const numberParser = Parser.sat(isDigit).many(1).label('number');
+     * 
+     * // Throws ParseError: expected number at 1:1
+     * numberParser.parseAll('abc');
+     * ~~~
+     */
+    this.label = name => {
+        const traced = (input, trace) => {
+            const node = new TraceNode(name, START);
+            const context = input.context;
+
+            trace.children.push(node);
+            context.trace = node;
+
+            /** @type {Maybe<B>} */
+            let result;
+
+            try {
+                result = labeled(input);
+            } finally {
+                finishTrace(node, input, result);
+                context.trace = trace;
+            }
+
+            return result;
+        };
+
+        const labeled = input => {
+            const context = input.context;
+            const furthest = context.furthest;
+            const expected = context.expected;
+
+            context.expected = new Set();
+
+            /** @type {Maybe<B>} */
+            let result;
+
+            try {
+                // Committed input fails hard once the failure is described
+                result = attempt(this._parse, input);
+            } catch (e) {
+                if (e instanceof HardFailure && context.furthest == furthest) {
+                    context.expected.forEach(item => expected.add(item));
+                    context.expected = expected;
+                }
+                throw e;
+            }
+
+            if (!result && context.furthest <= documentOffset(input, input.offset)) {
+                context.furthest = furthest;
+                context.expected = expected;
+                return fail(input, name);
+            }
+
+            if (context.furthest == furthest) {
+                context.expected.forEach(item => expected.add(item));
+                context.expected = expected;
+            }
+
+            // The failure further on keeps its own description, and still fails hard
+            return result || backtrack(input);
+        };
+
+        const internal = input => {
+            const trace = input.context.trace;
+
+            return trace
+                ? traced(input, trace)
+                : labeled(input);
+        };
+        return new Parser(internal, this._print);
+    };
+
+    /**
+     * Wrap parse result with its span in the document
+     * @returns {Parser<A,Located<B>>}
+     * @description Positions refer to the whole document even when the parser works
+     * on a fragment of it within `bindInversed` or `seqInversed`.
+     * @example
+     * ~~~js
+     * const wordParser = Parser.sat(c => c != ' ').many(1).fmap(cs => cs.join('')).located();
+     * 
+     * const actual = Parser.char(' ').many().seq(wordParser).parseText('  word');
+     * 
+     * expect(actual.parsed).to.deep.equal({
+     *     value: 'word',
+     *     start: { offset: 2, line: 1, column: 3 },
+     *     end: { offset: 6, line: 1, column: 7 }
+     * });
+     * ~~~
+     */
+    this.located = () => {
+        const internal = input => {
+            const result = this._parse(input);
+
+            if (result) {
+                const located = {
+                    value: result.parsed,
+                    start: positionOf(input),
+                    end: positionAfter(result),
+                };
+                return advance(result, located, result.offset);
+            }
+        };
+        return new Parser(internal);
+    };
+
+    /**
+     * Save parse result as a property
+     * @param {string} key Name of the property under which the parse result should be saved
+     * @returns {Parser<A,Record<string,B> & { key: B}>}
+     * @example
+     * ~~~js
+     * const prefixParser = Parser.string('the').save('prefix');
+     * 
+     * const actual = prefixParser.parseText('the table');
+     * 
+     * expect(actual).to.deep.equal({
+     *     parsed: { prefix: 'the' },
+     *     rest: ' table'
+     * });
+     * ~~~
+     */
+    this.save = key => {
+        const internal = input => {
+            const point = this._parse(input);
+
+            if (point) {
+                const parsed = {};
+                parsed[key] = point.parsed;
+
+                const fragment = typeof point.fragment == 'number'
+                    ? { [key]: point.fragment }
+                    : undefined;
+
+                return advance(point, parsed, point.offset, fragment);
+            }
+        };
+
+        /** @type {PrintFunction} */
+        const print = value => {
+            if (value === DISCARDED) {
+                return this._print(DISCARDED);
+            }
+
+            return isRecord(value) && key in value
+                ? this._print(value[key])
+                : undefined;
+        };
+
+        return new Parser(internal, print);
+    };
+
+    /**
+     * The bind combinator
+     * @template {object} C
+     * @param {Parser<B,C>} next 
+     * @returns {Parser<A,B & C>}
+     * @description `bind :: Parser a -> (a -> Parser b) -> Parser b`.
+     * Requires both `B` and `C` types being derived from `object`. This
+     * requirement is needed since there is no obvious way to implement
+     * binding to variables as `<-` in `do` notation.
+     * 
+     * Use `chain()` to choose the next parser by the parsed value.
+     * 
+     * The results are merged into a new object, the right one's properties win.
+     * See `Parser.record()` and `Parser.sequence()` for the stricter alternatives.
+     * @throws {TypeError} When either parser returns something but an object
+     * 
+     * @example
+     * ~~~js
+     * const parser = Parser
+     *     // Left parser counts # characters and save their number in the 'level' property:
+     *     .char('#').many(1).fmap(cs => cs.length).save('level')
+     * 
+     *     // Right parser decodes all the rest of the string and saves result in 'content':
+     *     .bind(untilLineBreakParser.save('content'));
+     * 
+     * const actual = parser.parseText('## Lorem ipsum\ndolor sit amet');
+     * 
+     * expect(actual).to.deep.equal({
+     *     parsed: {
+     *         level: 2,
+     *         content: ' Lorem ipsum'
+     *     },
+     *     rest: '\ndolor sit amet'
+     * });
+     * ~~~
+     */
+    this.bind = next => {
+        const internal = input => {
+            const left = this._parse(input);
+
+            if (left) {
+                const right = next._parse(left);
+
+                if (right) {
+                    return advance(right, merge(left.parsed, right.parsed), right.offset, mergeFragments(left.fragment, right.parsed, right.fragment));
+                }
+            }
+
+        };
+
+        /** @type {PrintFunction} */
+        const print = value => printAll([this._print(value), next._print(value)]);
+
+        return new Parser(internal, print);
+    };
+
+    /**
+     * Combinator which feeds parsed content to the next parser
+     * @template C
+     * @param {Parser<any,C>} next Parser to bind
+     * @param {string} [key] Name of the property to use as input of the `next`
+     * @returns {Parser<A,B&C>}
+     * @description Makes the right parser to parse result of the left one instead of the unparsed rest of the text.
+     * @example
+     * ~~~js
+     * const linkParser = Parser
+     *     .brackets('[', ']').save('text')
+     *     .bind(Parser.brackets('(', ')').save('hrefTitle'))
+     * 
+     *     // Parses contents of the hrefTitle property instead of anything after the ')':
+     *     .bindInversed(untilSpaceParser.save('href').bind(hintParser.save('hint')), 'hrefTitle')
+     * 
+     *     .fmap(data => new Link(data.href, data.text, data.hint));
+     * ~~~
+     */
+    this.bindInversed = (next, key) => {
+        const internal = input => {
+            const left = this._parse(input);
+
+            if (left) {
+                const right = next._parse(enter(input, left, key));
+
+                if (right) {
+                    return leave(left, right, merge(left.parsed, right.parsed), mergeFragments(left.fragment, right.parsed, undefined));
+                }
+            }
+        };
+
+        /** @type {PrintFunction} */
+        const print = value => {
+            const text = next._print(value);
+
+            if (text === undefined) {
+                return undefined;
+            }
+
+            return key
+                ? this._print(Object.assign({}, isRecord(value) ? value : {}, { [key]: text }))
+                : this._print(text);
+        };
+
+        return new Parser(internal, print);
+    };
+
+    /**
+     * Sequence combinator
+     * @template C
+     * @param {Parser<B,C>} next 
+     * @returns {Parser<A,C>}
+     * @description The sequence `>>` (or *then*) combinator which returns result of the right parser.
+     * @example
+     * ~~~js
+     * // Skips spaces and take contents of the following quoted string.
+     * // Returns only text within quotes discarding the parsed spaces.
+     * const hintParser = Parser.char(' ').many()
+     *     .seq(Parser.quoted('"'));
+     * ~~~
+     */
+    this.seq = next => {
+        const internal = input => {
+            const left = this._parse(input);
+            return left && next._parse(left);
+        };
+
+        /** @type {PrintFunction} */
+        const print = value => printAll([this._print(DISCARDED), next._print(value)]);
+
+        return new Parser(internal, print);
+    };
+
+    /**
+     * Choose the next parser by the parsed value
+     * @template C
+     * @param {(value: B) => Parser<B,C>} makeNext Makes the parser for the text which follows
+     * @returns {Parser<A,C>}
+     * @throws {TypeError} When `makeNext` returns something but a parser
+     * @description The monadic bind `>>=`: the parsed text decides what comes next,
+     * e.g. the length of the following field or the terminator of a block.
+     * The parser cannot print: the value does not tell which parser has made it.
+     * @example
+     * ~~~js
+     * // Markdown fence: the closing backticks must match the opening ones
+     * const fenceParser = Parser.regex(/`{3,}/).chain(fence => Parser.string(fence).not()
+     *     .seq(Parser.item()).many().fmap(cs => cs.join(''))
+     *     .pass(Parser.string(fence)));
+     * 
+     * expect(fenceParser.parseText('````a ``` b````').parsed).to.equal('a ``` b');
+     * 
+     * // Length-prefixed field
+     * const fieldParser = Parser.regex(/\d+/).pass(Parser.char(':'))
+     *     .chain(length => Parser.regex(`[^]{${length}}`));
+     * 
+     * expect(fieldParser.parseText('3:abcdef')).to.deep.equal({ parsed: 'abc', rest: 'def' });
+     * ~~~
+     */
+    this.chain = makeNext => {
+        const internal = input => {
+            const left = this._parse(input);
+
+            if (!left) return undefined;
+
+            const next = makeNext(left.parsed);
+
+            if (!(next instanceof Parser)) {
+                throw new TypeError('Function passed to chain() should return a Parser');
+            }
+
+            return next._parse(left);
+        };
+        return new Parser(internal);
+    };
+
+    /**
+     * Inversed sequence combinator
+     * @template C
+     * @param {Parser<any,C>} next Next parser
+     * @param {string} [key] Name of the property to use as input of the `next`
+     * @returns {Parser<A,C>}
+     * @description Makes the right parser work on the result of the left one
+     * (not on the yet unparsed text).
+     * @example
+     * ~~~js
+     * const italicParser = makeStarsParser(1)
+     * 
+     *     // Parse the text which makeStarsParser has found:
+     *     .seqInversed(contentParser)
+     * 
+     *     // Only result of the makeContentParser is available here
+     *     .fmap(makeItalic);
+     * ~~~
+     */
+    this.seqInversed = (next, key) => {
+        const internal = input => {
+            const left = this._parse(input);
+
+            if (left) {
+                const right = next._parse(enter(input, left, key));
+
+                if (right) {
+                    return leave(left, right, right.parsed);
+                }
+            }
+        };
+
+        /** @type {PrintFunction} */
+        const print = value => {
+            const text = next._print(value);
+
+            if (text === undefined) {
+                return undefined;
+            }
+
+            return this._print(key ? { [key]: text } : text);
+        };
+
+        return new Parser(internal, print);
+    };
+
+    /**
+     * Combinator that return result of the left parser
+     * @template C
+     * @param {Parser<B,C>} next Next parser
+     * @returns {Parser<A,B>}
+     * @description Makes both left and right parsers to work but
+     * returns result of the left one only
+     * @example
+     * ~~~js
+     * const parser = exactQuote
+     *     .seq(untilQuote)   // return this text only
+     *     .pass(exactQuote); // make sure the closing quote exists but skip it
+     * ~~~
+     */
+    this.pass = next => {
+        const internal = input => {
+            const left = this._parse(input);
+            if (left) {
+                const right = next._parse(left);
+                return right && advance(right, left.parsed, right.offset, left.fragment);
+            }
+        };
+
+        /** @type {PrintFunction} */
+        const print = value => printAll([this._print(value), next._print(DISCARDED)]);
+
+        return new Parser(internal, print);
+    };
+
+    /**
+     * Fallback to other parser if this one fails
+     * @param {Parser<A,B>} other Alternative parser of the same type
+     * @returns {Parser<A,B>}
+     * @example
+     * ~~~js
+     * const contentParser = linkParser.or(boldParser).or(italicParser).or(whateverElseParser);
+     * ~~~
+     */
+    this.or = other => {
+        const internal = input =>
+            attempt(this._parse, input) || attempt(other._parse, input) || backtrack(input);
+
+        /** @type {PrintFunction} */
+        const print = value => {
+            const text = this._print(value);
+
+            return text === undefined
+                ? other._print(value)
+                : text;
+        };
+
+        return new Parser(internal, print);
+    };
+
+    /**
+     * Repeat modifier
+     * @param {number} [min] Minimal allowed iteration. Ignored if zero.
+     * @param {number} [max] Maximal allowed iterations. Ignored if zero.
+     * @param {Condition} [condition] Auxilliary condition to go on (when needed)
+     * @returns {Parser<A,B[]>}
+     * @description Repeats the parser several times. A predicate condition gets the unparsed text as a new string
+     * on every iteration; give the condition as `{ at: (source, offset) => ... }` to look into the source instead.
+     * The bounded repetition stops at an element which consumes no text, the unbounded one throws on it.
+     * @example
+     * ~~~js
+     * const isDigit = c => '0123456789'.includes(c);
+     * 
+     * // Much the same as /^\d+\. +(.*)/
+     * const orderedItemParser = Parser
+     *     .sat(isDigit).many(1)
+     *     .pass(Parser.char('.'))
+     *     .pass(Parser.char(' ').many(1))
+     *     .seq(untilLineBreak);
+     * ~~~
+     */
+    this.many = (min, max, condition) => {
+        const internal = input => { 
+            let state = input;
+
+            /** @type {B[]} */
+            const elements = [];
 
             let iterations = 0;
 
-            const overflow = max
-                ? () => iterations > max
-                : () => false;
-            
-            const underflow = min
-                ? () => iterations < min
-                : () => false;
-            
-            const goOn = condition
-                ? () => text && condition(text) && !overflow()
-                : () => text && !overflow();
-            
-            while (goOn()) {
-                const result = this._parse({ parsed: input.parsed, rest: text });
+            const overflow = max
+                ? () => iterations > max
+                : () => false;
+            
+            const underflow = min
+                ? () => iterations < min
+                : () => false;
+            
+            // The parser is tried at the end of input too while elements are missing, so that its failure
+            // tells what is expected there
+            const goOn = condition
+                ? () => (hasInput(state) || underflow()) && testRest(condition, state.source, state.offset) && !overflow()
+                : () => (hasInput(state) || underflow()) && !overflow();
+            
+            while (goOn()) {
+                const result = attempt(this._parse, state);
+
+                if (!result) break;
+
+                if (result.offset == state.offset) {
+                    // Bounded repetition stops at the empty match, it would only repeat it up to the maximum,
+                    // and so does any repetition at the end of input
+                    if (max || !hasInput(state)) break;
+
+                    throw new Error('Parser inside many() has succeeded without consuming any text and would repeat endlessly');
+                }
+
+                ++iterations;
+                elements.push(result.parsed);
+                state = result;
+            }
+
+            return overflow() || underflow()
+                ? fail(state)
+                : advance(state, elements, state.offset);
+        };
+
+        /** @type {PrintFunction} */
+        const print = value => {
+            if (value === DISCARDED) {
+                return printAll(Array.from({ length: min || 0 }, () => this._print(DISCARDED)));
+            }
+
+            if (!Array.isArray(value) || (min && value.length < min) || (max && value.length > max)) {
+                return undefined;
+            }
+
+            return printAll(value.map(this._print));
+        };
+
+        return new Parser(internal, print);
+    };
+
+    /**
+     * Lift mapper to parser
+     * @template C
+     * @param {Mapper<B,C>} mapper Mapper
+     * @returns {Parser<A,C>}
+     * @description Maps parsed result's internal value into other value.
+     * This method is generally placed in the end of the Parser's fluent expression to compile
+     * parsing result to needed format.
+     * @example
+     * ~~~js
+     * const unorderedParser = Parser
+     *     .peek(text => text.startsWith('* '))
+     *     .seq(unorderedItemParser.many(1, 0, isNotParagraph))
+     * 
+     *     // Maps collected list-items array to an unordered list:
+     *     .fmap(items => new UnorderedList(items));
+     * ~~~
+     */
+    this.fmap = mapper => {
+        const internal = input => {
+            const result = this._parse(input);
+            return result && advance(result, mapper(result.parsed), result.offset);
+        };
+
+        /** @type {PrintFunction} */
+        const print = value => {
+            if (value === DISCARDED) {
+                return this._print(DISCARDED);
+            }
+
+            if (!mapper.inverse) {
+                return undefined;
+            }
+
+            // The value may be out of the mapper's range, e.g. in the other alternative of or()
+            const inverse = mapper.inverse(value);
+
+            return isSameValue(mapper(inverse), value)
+                ? this._print(inverse)
+                : undefined;
+        };
+
+        return new Parser(internal, print);
+    };
+
+    /**
+     * Do not fail but return default value
+     * @param {B} defaultValue Value to return when the parser fails
+     * @returns {Parser<A,B>}
+     */
+    this.default = defaultValue => {
+        const internal = input =>
+            attempt(this._parse, input) || advance(input, defaultValue, input.offset);
+
+        /** @type {PrintFunction} */
+        const print = value => {
+            const text = value === DISCARDED ? undefined : this._print(value);
+
+            if (text !== undefined) {
+                return text;
+            }
+
+            return value === DISCARDED || isSameValue(value, defaultValue)
+                ? ''
+                : undefined;
+        };
+
+        return new Parser(internal, print);
+    };
+
+    /**
+     * Commit to the alternative once this parser succeeds
+     * @returns {Parser<A,B>}
+     * @description Failures after the parser has succeeded are not backtracked from: `or()`, `many()`,
+     * `default()` and the like do not try their other alternatives, so the parsing fails with the error
+     * at the actual problem instead of the text falling through to some other alternative. Choice points
+     * which start after the commit work as usual, and `recover()` recovers from the committed failures.
+     * @example
+     * ~~~js
+     * const linkParser = Parser.brackets('[', ']')
+     *     .pass(Parser.char('(')).commit() // "[text](" is surely a link
+     *     .pass(Parser.regex(/[^)\s]+/))
+     *     .pass(Parser.char(')'));
+     * 
+     * const parser = linkParser.or(Parser.regex(/.+/));
+     * 
+     * expect(parser.parseText('[text] (plain)').parsed).to.equal('[text] (plain)');
+     * expect(() => parser.parseAll('[text](broken')).to.throw(ParseError, "expected ')' at 1:14");
+     * ~~~
+     */
+    this.commit = () => {
+        const internal = input => {
+            const result = this._parse(input);
+            return result && derive(result, { committed: true });
+        };
+        return new Parser(internal, this._print);
+    };
+
+    /**
+     * Recover from the failure and go on parsing
+     * @template C
+     * @param {Parser<any,any>} syncParser Parser of the text to resume after, e.g. the next line break.
+     * Make it a lookahead to leave the text for the following parsers, e.g. the closing bracket.
+     * @param {(error: ParseError, skipped: string|any[]) => C} [makeErrorNode] Makes the value to return
+     * instead of the failed parser's one (the error itself by default)
+     * @returns {Parser<A,B|C>}
+     * @description When the parser fails, the text is skipped until the synchronisation parser matches
+     * (the parser still fails if it never does). The error is recorded among the diagnostics which
+     * `parseText` and `parseAll` return along with the result, so all the problems of the text
+     * are reported at once.
+     * @example
+     * ~~~js
+     * const statementParser = Parser.regex(/\w+ = \d+/)
+     *     .pass(Parser.char('\n'))
+     *     .recover(Parser.char('\n'), (error, skipped) => ({ error: error.message, skipped }));
+     * 
+     * const { parsed, diagnostics } = statementParser.many().parseText('a = 1\nb = ?\nc = 3\n');
+     * 
+     * expect(parsed).to.deep.equal(['a = 1', { error: 'expected /\\w+ = \\d+/ at 2:1', skipped: 'b = ?' }, 'c = 3']);
+     * expect(diagnostics.map(error => error.message)).to.deep.equal(['expected /\\w+ = \\d+/ at 2:1']);
+     * ~~~
+     */
+    this.recover = (syncParser, makeErrorNode = error => error) => {
+        const internal = input => {
+            const context = input.context;
+            const failures = isolateFailures(context);
+
+            /** @type {HardFailure|undefined} */
+            let hardFailure;
+
+            /** @type {Maybe<B>} */
+            let result;
+
+            try {
+                result = attempt(this._parse, input);
+            } catch (e) {
+                if (!(e instanceof HardFailure)) {
+                    throw e;
+                }
+                hardFailure = e;
+            }
+
+            if (result) {
+                mergeFailures(context, failures);
+                return result;
+            }
+
+            if (!context.failed) {
+                fail(derive(input, { committed: false }));
+            }
+
+            const error = makeError(context);
+            const errorFailures = isolateFailures(context);
+            const source = input.source;
+
+            for (let offset = input.offset; offset <= source.length; ++offset) {
+                const synced = attempt(syncParser._parse, advance(input, undefined, offset));
+
+                if (synced) {
+                    // The error is reported as a diagnostic rather than the furthest failure
+                    Object.assign(context, failures);
+
+                    const node = makeErrorNode(error, source.slice(input.offset, offset));
+
+                    const diagnostics = { error, previous: synced.diagnostics };
+                    return derive(advance(synced, node, synced.offset), { diagnostics });
+                }
+            }
+
+            Object.assign(context, errorFailures);
+            mergeFailures(context, failures);
+
+            if (hardFailure) {
+                throw hardFailure;
+            }
+
+            return backtrack(input);
+        };
+        return new Parser(internal, this._print);
+    };
+
+    /**
+     * Look ahead without consuming any text
+     * @returns {Parser<A,B>}
+     * @description Succeeds with result of this parser but leaves the text unparsed
+     * (errors it has recovered from are not reported either).
+     * @example
+     * ~~~js
+     * // A word which is followed by a colon
+     * const keyParser = Parser.regex(/\w+/).pass(Parser.char(':').lookahead());
+     * ~~~
+     */
+    this.lookahead = () => {
+        const internal = input => {
+            const result = this._parse(input);
+            return result && advance(input, result.parsed, input.offset);
+        };
+        return new Parser(internal);
+    };
+
+    /**
+     * Make parser which succeeds without consuming any text when this one fails
+     * @returns {Parser<A,undefined>}
+     * @description What this parser expects is not reported in errors.
+     * @example
+     * ~~~js
+     * // A word which is not followed by an opening bracket
+     * const variableParser = Parser.regex(/\w+/).pass(Parser.char('(').not());
+     * ~~~
+     */
+    this.not = () => {
+        const internal = input => {
+            const context = input.context;
+            const { furthest, failed, failedOffset, expected } = context;
+
+            const result = attempt(this._parse, input);
+
+            Object.assign(context, { furthest, failed, failedOffset, expected });
+
+            return result
+                ? fail(input)
+                : advance(input, undefined, input.offset);
+        };
+        return new Parser(internal);
+    };
+
+    /**
+     * Make the parser optional
+     * @returns {Parser<A,B|symbol>}
+     * @description Unlike `default()` marks the missing value explicitly with `Parser.absent`.
+     * @example
+     * ~~~js
+     * const signParser = Parser.char('-').optional();
+     * 
+     * expect(signParser.parseText('5').parsed).to.equal(Parser.absent);
+     * ~~~
+     */
+    this.optional = () => this.default(Parser.absent);
+
+    /**
+     * Surround the parser with opening and closing ones
+     * @param {Parser<any,any>} open Parser for the opening part
+     * @param {Parser<any,any>} close Parser for the closing part
+     * @returns {Parser<A,B>}
+     * @description Returns result of this parser only.
+     * @example
+     * ~~~js
+     * const listParser = itemParser.sepBy(Parser.char(',')).between(Parser.char('['), Parser.char(']'));
+     * ~~~
+     */
+    this.between = (open, close) => open.seq(this).pass(close);
+
+    /**
+     * Repeat the parser with separators between the elements
+     * @param {Parser<any,any>} separator Separator parser
+     * @param {number} [min] Minimal number of elements. Ignored if zero.
+     * @param {number} [max] Maximal number of elements. Ignored if zero.
+     * @returns {Parser<A,B[]>}
+     * @description Fails when there are more than `max` elements like `many()` does.
+     * A separator which is not followed by an element is left unparsed.
+     * @example
+     * ~~~js
+     * const listParser = Parser.regex(/\w+/).sepBy(Parser.string(', '));
+     * 
+     * expect(listParser.parseText('one, two, three')).to.deep.equal({
+     *     parsed: ['one', 'two', 'three'],
+     *     rest: ''
+     * });
+     * ~~~
+     */
+    this.sepBy = (separator, min, max) =>
+        separated(this, separator, min, max).fmap(Parser.iso(result => result.elements, elements => ({ elements })));
+
+    /**
+     * Repeat the parser at least once with separators between the elements
+     * @param {Parser<any,any>} separator Separator parser
+     * @param {number} [min] Minimal number of elements (one if less)
+     * @param {number} [max] Maximal number of elements. Ignored if zero.
+     * @returns {Parser<A,B[]>}
+     */
+    this.sepBy1 = (separator, min, max) =>
+        this.sepBy(separator, Math.max(min || 0, 1), max);
+
+    /**
+     * Repeat the parser with a separator after each of the elements
+     * @param {Parser<any,any>} separator Separator parser
+     * @param {number} [min] Minimal number of elements. Ignored if zero.
+     * @param {number} [max] Maximal number of elements. Ignored if zero.
+     * @returns {Parser<A,B[]>}
+     * @example
+     * ~~~js
+     * const statementsParser = Parser.regex(/[^;]+/).endBy(Parser.char(';'));
+     * 
+     * expect(statementsParser.parseText('a = 1;b = 2;').parsed).to.deep.equal(['a = 1', 'b = 2']);
+     * ~~~
+     */
+    this.endBy = (separator, min, max) => this.pass(separator).many(min, max);
+
+    /**
+     * Repeat the parser at least once with a separator after each of the elements
+     * @param {Parser<any,any>} separator Separator parser
+     * @param {number} [min] Minimal number of elements (one if less)
+     * @param {number} [max] Maximal number of elements. Ignored if zero.
+     * @returns {Parser<A,B[]>}
+     */
+    this.endBy1 = (separator, min, max) =>
+        this.endBy(separator, Math.max(min || 0, 1), max);
+
+    /**
+     * Repeat the parser with operators between the elements and fold the elements from left to right
+     * @param {Parser<any,(left: B, right: B) => B>} operator Parser which returns the folding function
+     * @param {number} [min] Minimal number of elements (one if less)
+     * @param {number} [max] Maximal number of elements. Ignored if zero.
+     * @returns {Parser<A,B>}
+     * @example
+     * ~~~js
+     * const minus = Parser.char('-').fmap(() => (a, b) => a - b);
+     * const parser = Parser.regex(/\d+/).fmap(Number).chainl1(minus);
+     * 
+     * expect(parser.parseText('8-3-2').parsed).to.equal(3);
+     * ~~~
+     */
+    this.chainl1 = (operator, min, max) =>
+        separated(this, operator, Math.max(min || 0, 1), max).fmap(({ elements, separators }) =>
+            elements.slice(1).reduce((left, right, index) => separators[index](left, right), elements[0]));
+
+    /**
+     * Repeat the parser with operators between the elements and fold the elements from right to left
+     * @param {Parser<any,(left: B, right: B) => B>} operator Parser which returns the folding function
+     * @param {number} [min] Minimal number of elements (one if less)
+     * @param {number} [max] Maximal number of elements. Ignored if zero.
+     * @returns {Parser<A,B>}
+     * @example
+     * ~~~js
+     * const power = Parser.char('^').fmap(() => (a, b) => a ** b);
+     * const parser = Parser.regex(/\d+/).fmap(Number).chainr1(power);
+     * 
+     * expect(parser.parseText('2^3^2').parsed).to.equal(512);
+     * ~~~
+     */
+    this.chainr1 = (operator, min, max) =>
+        separated(this, operator, Math.max(min || 0, 1), max).fmap(({ elements, separators }) =>
+            elements.slice(0, -1).reduceRight(
+                (right, left, index) => separators[index](left, right),
+                elements[elements.length - 1]
+            ));
+
+    /**
+     * Remember results of the parser
+     * @returns {Parser<A,B>}
+     * @description The parser runs only once at any position of the text, the following calls at
+     * the same position return the remembered result. Results are kept during a single run only,
+     * so the parser may be reused.
+     * 
+     * Memoized parsers may be left-recursive, directly or indirectly: the recursive call
+     * fails at first, then the result is grown by reparsing for as long as it gets longer.
+     * @example
+     * ~~~js
+     * const { difference } = Parser.grammar({
+     *     // difference = difference '-' number | number
+     *     difference: r => r.difference.save('left')
+     *         .bind(Parser.char('-').seq(r.number).save('right'))
+     *         .fmap(({ left, right }) => left - right)
+     *         .or(r.number)
+     *         .memo(),
+     * 
+     *     number: () => Parser.regex(/\d+/).fmap(Number),
+     * });
+     * 
+     * expect(difference.parseText('8-3-2').parsed).to.equal(3);
+     * ~~~
+     */
+    this.memo = () => {
+        const lookup = input => {
+            const context = input.context;
+            const stack = context.evaluating;
+            const position = input.base + input.offset;
+
+            let table = context.memo.get(memoized);
+
+            if (!table) {
+                table = new Map();
+                context.memo.set(memoized, table);
+            }
+
+            const entry = table.get(position);
+
+            const matches = entry
+                && entry.source === input.source
+                && entry.userState === input.userState
+                && entry.indent === input.indent;
+
+            if (matches) {
+                if (entry.evaluating) {
+                    // Left recursion: whatever depends on the current seed cannot be remembered
+                    entry.recursive = true;
+
+                    for (let index = entry.depth + 1; index < stack.length; ++index) {
+                        stack[index].tainted = true;
+                    }
+                }
+
+                if (entry.failures) {
+                    const { expected } = entry.failures;
+                    mergeFailures(context, Object.assign({}, entry.failures, { expected: new Set(expected) }));
+                }
+
+                const result = entry.result;
+
+                if (!result || entry.diagnostics === input.diagnostics) {
+                    return result;
+                }
+
+                const diagnostics = rebaseDiagnostics(result.diagnostics, entry.diagnostics, input.diagnostics);
+                return derive(result, { diagnostics });
+            }
+
+            /** @type {MemoEntry} */
+            const current = {
+                source: input.source,
+                result: undefined,
+                evaluating: true,
+                recursive: false,
+                tainted: false,
+                depth: stack.length,
+                diagnostics: input.diagnostics,
+                userState: input.userState,
+                indent: input.indent,
+                failures: undefined,
+            };
+
+            table.set(position, current);
+            stack.push(current);
+
+            // The failures of the parser are kept apart to be reported again when the result is reused
+            const outer = isolateFailures(context);
+
+            try {
+                let result = this._parse(input);
+
+                if (current.recursive) {
+                    while (result && (!current.result || result.offset > current.result.offset)) {
+                        current.result = result;
+                        result = this._parse(input);
+                    }
+                    result = current.result;
+                }
+
+                current.result = result;
+            } catch (e) {
+                table.delete(position);
+                throw e;
+            } finally {
+                stack.pop();
+                current.evaluating = false;
+
+                const { furthest, failed, failedOffset, expected } = context;
+                current.failures = { furthest, failed, failedOffset, expected: new Set(expected) };
+
+                mergeFailures(context, outer);
+            }
+
+            if (current.tainted) {
+                table.delete(position);
+            }
+
+            return current.result;
+        };
+
+        // Results are remembered regardless of the commitment of the input
+        const internal = input => attempt(lookup, input) || backtrack(input);
+
+        const memoized = new Parser(internal, this._print);
+        return memoized;
+    };
+}
+
+/**
+ * Marker of the missing value returned by optional parsers
+ * @type {symbol}
+ */
+Parser.absent = Symbol('absent');
+
+/**
+ * Make parser which always returns constant value
+ * @template T
+ * @param {T} value 
+ * @returns {Parser<any,T>}
+ */
+Parser.result = value => {
+    /** @type {PrintFunction} */
+    const print = printed => printed === DISCARDED || isSameValue(printed, value)
+        ? ''
+        : undefined;
+
+    return new Parser(input => advance(input, value, input.offset), print);
+};
+
+/**
+ * Make invertible mapper for `fmap()`: parsers which map their results with it can print the values
+ * @template A,B
+ * @param {Mapper<A,B>} forward Maps the parsed value
+ * @param {Mapper<B,A>} backward Maps the value back before it is printed, see `print()`
+ * @returns {Mapper<A,B> & { inverse: Mapper<B,A> }}
+ * @description The mappers must be inverse to each other for the values which the parser returns.
+ * Values which do not map back to themselves are not printed, so `or()` tries its next alternative for them.
+ * @example
+ * ~~~js
+ * const numberParser = Parser.regex(/\d+/).fmap(Parser.iso(Number, String));
+ * 
+ * expect(numberParser.parseText('42').parsed).to.equal(42);
+ * expect(numberParser.print(42)).to.equal('42');
+ * ~~~
+ */
+Parser.iso = (forward, backward) => Object.assign(value => forward(value), { inverse: backward });
+
+/**
+ * Make parser which returns current position in the document without consuming anything
+ * @returns {Parser<any,Position>}
+ */
+Parser.position = () => new Parser(input => advance(input, positionOf(input), input.offset));
+
+/**
+ * Make parser which always fails
+ * @returns {Parser<any,any>}
+ */
+Parser.zero = () => new Parser(input => fail(input));
+
+/**
+ * Make parser which returns the user-defined state without consuming anything
+ * @returns {Parser<any,any>}
+ * @description The state flows along with the text: it is passed with the `state` option of `parseText()`
+ * and `parseAll()`, changed with `Parser.setState()` and returned in the `state` property of the result.
+ * Parsers which backtrack (`or()`, `many()`, `default()` and the like) drop the changes made by the
+ * abandoned alternatives, so the state must never be mutated, only replaced.
+ * @example
+ * ~~~js
+ * const declarationParser = Parser.regex(/let (\w+);/, 1)
+ *     .chain(name => Parser.setState(names => [...names, name]));
+ * 
+ * const usageParser = Parser.regex(/\w+/)
+ *     .chain(name => Parser.getState().chain(names => names.includes(name) ? Parser.result(name) : Parser.zero()));
+ * ~~~
+ */
+Parser.getState = () => new Parser(input => advance(input, input.userState, input.offset));
+
+/**
+ * Make parser which replaces the user-defined state without consuming anything
+ * @param {(state: any) => any} update Makes the new state from the current one (which must not be mutated)
+ * @returns {Parser<any,any>} Parser which returns the new state
+ * @example
+ * ~~~js
+ * const openParser = Parser.char('(').pass(Parser.setState(depth => depth + 1));
+ * ~~~
+ */
+Parser.setState = update => {
+    const internal = input => {
+        const userState = update(input.userState);
+        return derive(advance(input, userState, input.offset), { userState });
+    };
+    return new Parser(internal);
+};
+
+/**
+ * Make parser which depends on the user-defined state
+ * @template A,B
+ * @param {(state: any) => Parser<A,B>} makeParser Makes the parser for the current state
+ * @returns {Parser<A,B>}
+ * @throws {TypeError} When `makeParser` returns something but a parser
+ * @example
+ * ~~~js
+ * const footnoteParser = Parser.withState(({ labels }) => Parser.oneOf(labels, { wordBoundary: true }));
+ * ~~~
+ */
+Parser.withState = makeParser => {
+    const internal = input => {
+        const parser = makeParser(input.userState);
+
+        if (!(parser instanceof Parser)) {
+            throw new TypeError('Function passed to Parser.withState() should return a Parser');
+        }
+
+        return parser._parse(input);
+    };
+    return new Parser(internal);
+};
+
+/**
+ * Make parser which runs the parsers one after another and collects their results by name
+ * @template {Record<string,Parser<any,any>>} T
+ * @param {T} parsers Parsers by the names of their results, in the order to run them
+ * @returns {Parser<any,{ [K in keyof T]: T[K] extends Parser<any,infer V> ? V : never }>}
+ * @throws {TypeError} When the argument is not an object of parsers
+ * @example
+ * ~~~js
+ * const assignmentParser = Parser.record({
+ *     name: Parser.regex(/\w+/),
+ *     value: Parser.string(' = ').seq(Parser.regex(/\d+/)).fmap(Number),
+ * });
+ * 
+ * expect(assignmentParser.parseText('x = 42').parsed).to.deep.equal({ name: 'x', value: 42 });
+ * ~~~
+ */
+Parser.record = parsers => {
+    if (!isRecord(parsers)) {
+        throw new TypeError(`Parser.record() expects an object of parsers, got ${describeType(parsers)}`);
+    }
+
+    const entries = Object.entries(parsers);
+
+    entries.forEach(([key, parser]) => {
+        if (!(parser instanceof Parser)) {
+            throw new TypeError(`Parser.record() expects a parser for "${key}", got ${describeType(parser)}`);
+        }
+    });
+
+    const internal = input => {
+        const record = {};
+        let state = input;
+        let fragment;
+
+        for (const [key, parser] of entries) {
+            state = parser._parse(state);
+
+            if (!state) return undefined;
+
+            record[key] = state.parsed;
+
+            if (typeof state.fragment == 'number') {
+                fragment = Object.assign(fragment || {}, { [key]: state.fragment });
+            }
+        }
+
+        return advance(state, record, state.offset, fragment);
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => {
+        if (value === DISCARDED) {
+            return printAll(entries.map(([, parser]) => parser._print(DISCARDED)));
+        }
+
+        return isRecord(value) && entries.every(([key]) => key in value)
+            ? printAll(entries.map(([key, parser]) => parser._print(value[key])))
+            : undefined;
+    };
+
+    return new Parser(internal, print);
+};
+
+/**
+ * Make parser which runs the parsers one after another and merges their results into a new object
+ * @param {Parser<any,object>[]} parsers Parsers which return objects, e.g. the ones made with `save()` or `Parser.record()`
+ * @returns {Parser<any,object>}
+ * @throws {TypeError} When the argument is not an array of parsers, or some parser returns something but an object
+ * @throws {Error} When the results of the parsers have the same keys
+ * @description Unlike `bind()` never overwrites the properties.
+ * @example
+ * ~~~js
+ * const headingParser = Parser.sequence([
+ *     Parser.char('#').many(1).fmap(cs => cs.length).save('level'),
+ *     Parser.char(' ').seq(Parser.regex(/[^\n]+/)).save('content'),
+ * ]);
+ * 
+ * expect(headingParser.parseText('## Title').parsed).to.deep.equal({ level: 2, content: 'Title' });
+ * ~~~
+ */
+Parser.sequence = parsers => {
+    if (!Array.isArray(parsers)) {
+        throw new TypeError(`Parser.sequence() expects an array of parsers, got ${describeType(parsers)}`);
+    }
+
+    parsers.forEach((parser, index) => {
+        if (!(parser instanceof Parser)) {
+            throw new TypeError(`Parser.sequence() expects a parser at index ${index}, got ${describeType(parser)}`);
+        }
+    });
+
+    const internal = input => {
+        const record = {};
+        let state = input;
+
+        for (let index = 0; index < parsers.length; ++index) {
+            state = parsers[index]._parse(state);
+
+            if (!state) return undefined;
+
+            assign(record, state.parsed, `Parser at index ${index} of Parser.sequence()`, true);
+        }
+
+        return advance(state, record, state.offset);
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => printAll(parsers.map(parser => parser._print(value)));
+
+    return new Parser(internal, print);
+};
+
+/**
+ * Make the parser optional, see `optional()`
+ * @template A,B
+ * @param {Parser<A,B>} parser Parser which may fail
+ * @returns {Parser<A,B|symbol>}
+ */
+Parser.optional = parser => parser.optional();
+
+/**
+ * Surround the parser with opening and closing ones, see `between()`
+ * @template A,B
+ * @param {Parser<any,any>} open Parser for the opening part
+ * @param {Parser<A,B>} parser Parser for the content
+ * @param {Parser<any,any>} close Parser for the closing part
+ * @returns {Parser<A,B>}
+ */
+Parser.between = (open, parser, close) => parser.between(open, close);
+
+/**
+ * Repeat the element parser with separators between the elements, see `sepBy()`
+ * @template A,B
+ * @param {Parser<A,B>} element Element parser
+ * @param {Parser<any,any>} separator Separator parser
+ * @param {number} [min] Minimal number of elements. Ignored if zero.
+ * @param {number} [max] Maximal number of elements. Ignored if zero.
+ * @returns {Parser<A,B[]>}
+ * @example
+ * ~~~js
+ * const listParser = Parser.between(Parser.char('['), Parser.sepBy(Parser.regex(/\d+/), Parser.char(',')), Parser.char(']'));
+ * 
+ * expect(listParser.parseText('[1,2]').parsed).to.deep.equal(['1', '2']);
+ * ~~~
+ */
+Parser.sepBy = (element, separator, min, max) => element.sepBy(separator, min, max);
+
+/**
+ * Repeat the element parser at least once with separators between the elements, see `sepBy1()`
+ * @template A,B
+ * @param {Parser<A,B>} element Element parser
+ * @param {Parser<any,any>} separator Separator parser
+ * @param {number} [min] Minimal number of elements (one if less)
+ * @param {number} [max] Maximal number of elements. Ignored if zero.
+ * @returns {Parser<A,B[]>}
+ */
+Parser.sepBy1 = (element, separator, min, max) => element.sepBy1(separator, min, max);
+
+/**
+ * Repeat the element parser with a separator after each of the elements, see `endBy()`
+ * @template A,B
+ * @param {Parser<A,B>} element Element parser
+ * @param {Parser<any,any>} separator Separator parser
+ * @param {number} [min] Minimal number of elements. Ignored if zero.
+ * @param {number} [max] Maximal number of elements. Ignored if zero.
+ * @returns {Parser<A,B[]>}
+ */
+Parser.endBy = (element, separator, min, max) => element.endBy(separator, min, max);
+
+/**
+ * Repeat the element parser at least once with a separator after each of the elements, see `endBy1()`
+ * @template A,B
+ * @param {Parser<A,B>} element Element parser
+ * @param {Parser<any,any>} separator Separator parser
+ * @param {number} [min] Minimal number of elements (one if less)
+ * @param {number} [max] Maximal number of elements. Ignored if zero.
+ * @returns {Parser<A,B[]>}
+ */
+Parser.endBy1 = (element, separator, min, max) => element.endBy1(separator, min, max);
+
+/**
+ * Repeat the element parser with operators between the elements and fold them from left to right, see `chainl1()`
+ * @template A,B
+ * @param {Parser<A,B>} element Element parser
+ * @param {Parser<any,(left: B, right: B) => B>} operator Parser which returns the folding function
+ * @param {number} [min] Minimal number of elements (one if less)
+ * @param {number} [max] Maximal number of elements. Ignored if zero.
+ * @returns {Parser<A,B>}
+ */
+Parser.chainl1 = (element, operator, min, max) => element.chainl1(operator, min, max);
+
+/**
+ * Repeat the element parser with operators between the elements and fold them from right to left, see `chainr1()`
+ * @template A,B
+ * @param {Parser<A,B>} element Element parser
+ * @param {Parser<any,(left: B, right: B) => B>} operator Parser which returns the folding function
+ * @param {number} [min] Minimal number of elements (one if less)
+ * @param {number} [max] Maximal number of elements. Ignored if zero.
+ * @returns {Parser<A,B>}
+ */
+Parser.chainr1 = (element, operator, min, max) => element.chainr1(operator, min, max);
+
+/**
+ * Make parser which consumes any single char
+ * @param {CharOptions} [options] What a single character is
+ * @returns {Parser<any,string>}
+ * @example
+ * ~~~js
+ * expect(Parser.item().parseText('😀!').parsed).to.equal('\ud83d');
+ * expect(Parser.item({ unit: 'codePoint' }).parseText('😀!').parsed).to.equal('😀');
+ * expect(Parser.item({ unit: 'grapheme' }).parseText('é!').parsed).to.equal('é'); // 'e' with U+0301
+ * ~~~
+ */
+Parser.item = (options = {}) => {
+    const unit = options.unit;
+
+    const internal = input => {
+        if (!hasInput(input)) {
+            return fail(input, 'any character');
+        }
+
+        const char = nextChar(input, unit);
+        return advance(input, char, input.offset + (typeof char == 'string' ? char.length : 1));
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => typeof value == 'string' && value
+        ? value
+        : undefined;
+
+    return new Parser(internal, print);
+};
+
+/**
+ * Make parser which consumes only this given character
+ * @param {string} c Template character
+ * @param {CharOptions} [options] What a single character is and whether its case matters
+ * @returns {Parser<any,string>} Parser which returns the template character
+ * @description In the grapheme mode the character does not match a part of a grapheme cluster,
+ * e.g. 'e' does not match 'e' with a combining accent.
+ * @example
+ * ~~~js
+ * expect(Parser.char('ж', { ignoreCase: true }).parseText('Ж').parsed).to.equal('ж');
+ * ~~~
+ */
+Parser.char = (c, options = {}) => {
+    const { unit, ignoreCase } = options;
+    const expected = describe(c);
+    const folded = ignoreCase ? foldCase(c) : c;
+
+    const internal = input => {
+        if (hasInput(input)) {
+            const char = nextChar(input, unit);
+
+            if (ignoreCase ? typeof char == 'string' && foldCase(char) == folded : char == c) {
+                return advance(input, c, input.offset + (typeof c == 'string' ? char.length : 1));
+            }
+        }
+
+        return fail(input, expected);
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => value === DISCARDED || value === c
+        ? c
+        : undefined;
+
+    return new Parser(internal, print);
+};
+
+/**
+ * Make parser which consumes single char if condition over it is met
+ * @param {Predicate} condition Condition
+ * @param {CharOptions} [options] What a single character is
+ * @returns {Parser<any,string>}
+ * @description `sat` means "satisfy"
+ * @example
+ * ~~~js
+ * const isSpace = c => ' \t\r\n'.includes(c);
+ * 
+ * const spaceParser = Parser.sat(isSpace);
+ * 
+ * const emojiParser = Parser.sat(c => /\p{Extended_Pictographic}/u.test(c), { unit: 'grapheme' });
+ * ~~~
+ */
+Parser.sat = (condition, options = {}) => {
+    const unit = options.unit;
+
+    const internal = input => { 
+        if (hasInput(input)) {
+            const char = nextChar(input, unit);
+
+            if (condition(char)) {
+                return advance(input, char, input.offset + (typeof char == 'string' ? char.length : 1));
+            }
+        }
+
+        return fail(input);
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => typeof value == 'string' && value && condition(value)
+        ? value
+        : undefined;
+
+    return new Parser(internal, print);
+};
+
+/**
+ * Make parser which consumes single char of the Unicode property class
+ * @param {string} property Unicode property (general category, script, binary property),
+ * anything allowed in the `\p{...}` escape of the regular expressions
+ * @param {CharOptions} [options] What a single character is, the code point by default.
+ * Grapheme clusters are tested by their first code point.
+ * @returns {Parser<any,string>}
+ * @throws {SyntaxError} When the property is unknown
+ * @example
+ * ~~~js
+ * const wordParser = Parser.unicode('L').many(1).fmap(cs => cs.join(''));
+ * 
+ * expect(wordParser.parseText('Привет, 世界').parsed).to.equal('Привет');
+ * 
+ * const cyrillicParser = Parser.unicode('Script=Cyrillic');
+ * ~~~
+ */
+Parser.unicode = (property, options = {}) => {
+    const unit = options.unit || 'codePoint';
+    const expression = new RegExp(`^\\p{${property}}`, 'u');
+    const expected = `\\p{${property}}`;
+
+    const internal = input => {
+        if (hasInput(input) && typeof input.source == 'string') {
+            const char = nextChar(input, unit);
+
+            if (expression.test(char)) {
+                return advance(input, char, input.offset + char.length);
+            }
+        }
+
+        return fail(input, expected);
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => typeof value == 'string' && expression.test(value)
+        ? value
+        : undefined;
+
+    return new Parser(internal, print);
+};
+
+/**
+ * @typedef {object} StringOptions Options of the string parsers
+ * @property {boolean} [ignoreCase] Match strings regardless of their case
+ */
+
+/**
+ * Make parser which matches text against the provided string
+ * @param {string} template Template to match
+ * @param {StringOptions} [options] Matching options
+ * @returns {Parser<any,string>} Parser which returns the template
+ * @example
+ * ~~~js
+ * const selectParser = Parser.string('select', { ignoreCase: true });
+ * 
+ * expect(selectParser.parseText('SELECT *')).to.deep.equal({ parsed: 'select', rest: ' *' });
+ * ~~~
+ */
+Parser.string = (template, options = {}) => {
+    if (options.ignoreCase) {
+        return Parser.oneOf([template], options);
+    }
+
+    const internal = input => {
+        return hasInput(input) && startsWith(input, template)
+            ? advance(input, template, input.offset + template.length)
+            : fail(input, describe(template));
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => value === DISCARDED || value === template
+        ? template
+        : undefined;
+
+    return new Parser(internal, print);
+};
+
+/**
+ * @typedef {object} OneOfOptions Options of `Parser.oneOf`
+ * @property {boolean} [ignoreCase] Match strings regardless of their case
+ * @property {boolean} [longest] Pick the longest of the matching strings (the default),
+ * otherwise pick the first one in the list
+ * @property {boolean} [wordBoundary] Match only the strings which are not followed by a letter, digit or underscore
+ */
+
+/**
+ * Make parser which matches text against any of the provided strings
+ * @param {string[]} strings Strings to match
+ * @param {OneOfOptions} [options] Matching options
+ * @returns {Parser<any,string>} Parser which returns the matched string as listed
+ * @description The strings are looked up in a trie, so the time does not depend on how many of them
+ * there are. Unlike a chain of `Parser.string(a).or(Parser.string(b))` the longest string wins
+ * regardless of the order. Failures list all the strings as expected, label the parser when there
+ * are many of them.
+ * @example
+ * ~~~js
+ * const keywordParser = Parser.oneOf(['in', 'int', 'interface'], { wordBoundary: true });
+ * 
+ * expect(keywordParser.parseText('int x').parsed).to.equal('int');
+ * expect(keywordParser.parseText('into')).to.be.undefined;
+ * ~~~
+ */
+Parser.oneOf = (strings, options = {}) => {
+    const { ignoreCase = false, longest = true, wordBoundary = false } = options;
+    const root = makeTrie(strings, ignoreCase);
+    const expected = strings.map(describe);
+
+    const internal = input => {
+        const matches = matchTrie(input, root, ignoreCase)
+            .filter(({ end }) => !wordBoundary || atWordEnd(input, end));
+
+        if (!matches.length) {
+            return failAll(input, expected);
+        }
+
+        const match = longest
+            ? matches[matches.length - 1]
+            : matches.reduce((first, next) => next.index < first.index ? next : first);
+
+        return advance(input, strings[match.index], match.end);
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => {
+        if (value === DISCARDED) {
+            return strings[0];
+        }
+
+        return strings.includes(value)
+            ? value
+            : undefined;
+    };
+
+    return new Parser(internal, print);
+};
+
+/**
+ * Make parser which matches text against the regular expression at the current position
+ * @param {RegExp|string} pattern Regular expression. Flags `g` and `y` are ignored.
+ * @param {number|string} [group] Index or name of the capture group to return instead of the whole match
+ * @param {string} [printed] Text to print when the result is discarded, the empty string by default
+ * @returns {Parser<any,string>}
+ * @throws {TypeError} When the expression has no such capture group or does not match the printed text
+ * @description The expression is matched in sticky mode: it never scans ahead of the current position.
+ * Patterns which can match empty string must not be repeated with unbounded `many()`: it throws
+ * when its parser succeeds without consuming any text.
+ * In a stream the parser waits for the next chunk while the rest of the text may begin a longer match,
+ * expressions with back references wait for the end of the stream.
+ * @example
+ * ~~~js
+ * const numberParser = Parser.regex(/\d+/).fmap(Number);
+ * 
+ * const keyParser = Parser.regex(/(\w+)\s*=/, 1);
+ * 
+ * expect(keyParser.parseText('key = value')).to.deep.equal({ parsed: 'key', rest: ' value' });
+ * 
+ * const listParser = Parser.regex(/\w+/).sepBy(Parser.regex(/, ?/, undefined, ', '));
+ * 
+ * expect(listParser.print(['a', 'b'])).to.equal('a, b');
+ * ~~~
+ */
+Parser.regex = (pattern, group, printed) => {
+    const source = typeof pattern == 'string' ? pattern : pattern.source;
+    const flags = typeof pattern == 'string' ? '' : pattern.flags.replace(/[gy]/g, '');
+    // Indices tell where the capture group starts, so that it can be parsed as a fragment of the text
+    const expression = new RegExp(source, flags + (group === undefined ? 'y' : 'dy'));
+    const expected = `/${source}/${flags}`;
+
+    if (group !== undefined) {
+        // An alternative which matches the empty string lists all the groups of the expression
+        const groups = new RegExp(`${source}|`, flags).exec('');
 
-                if (!result) break;
+        const exists = typeof group == 'string'
+            ? Boolean(groups.groups) && Object.prototype.hasOwnProperty.call(groups.groups, group)
+            : Number.isInteger(group) && group >= 0 && group < groups.length;
 
-                ++iterations;
-                elements.push(result.parsed);
-                text = result.rest;
+        if (!exists) {
+            throw new TypeError(`Regular expression ${expected} has no capture group ${JSON.stringify(group)}`);
+        }
+    }
+
+    let prefixes;
+
+    const mayContinue = input => {
+        if (prefixes === undefined) {
+            prefixes = makePrefixExpression(source, flags) || null;
+        }
+        if (!prefixes) {
+            return true;
+        }
+
+        prefixes.lastIndex = input.offset;
+        return prefixes.test(input.source);
+    };
+
+    const internal = input => {
+        if (typeof input.source != 'string') {
+            return fail(input, expected);
+        }
+
+        expression.lastIndex = input.offset;
+
+        const match = expression.exec(input.source);
+
+        // In a stream the match is final unless the rest of the text may begin a longer one
+        if (input.context.partial && mayContinue(input)) {
+            wantMore(input);
+        }
+
+        if (!match) {
+            return fail(input, expected);
+        }
+
+        if (group === undefined) {
+            return advance(input, match[0], input.offset + match[0].length, input.offset);
+        }
+
+        const parsed = typeof group == 'string' ? match.groups[group] : match[group];
+        const indices = typeof group == 'string' ? match.indices.groups[group] : match.indices[group];
+
+        return advance(input, parsed, input.offset + match[0].length, indices && indices[0]);
+    };
+    const whole = new RegExp(`^(?:${source})$`, flags);
+
+    if (printed !== undefined && !whole.test(printed)) {
+        throw new TypeError(`Regular expression ${expected} does not match the printed text ${JSON.stringify(printed)}`);
+    }
+
+    /** @type {PrintFunction} */
+    const print = value => {
+        if (value === DISCARDED) {
+            const text = printed === undefined ? '' : printed;
+
+            return whole.test(text)
+                ? text
+                : undefined;
+        }
+
+        return group === undefined && typeof value == 'string' && whole.test(value)
+            ? value
+            : undefined;
+    };
+
+    return new Parser(internal, print);
+};
+
+/**
+ * @typedef {object} LexerRule Token definition for `Parser.lexer`
+ * @property {string} type Type of the tokens
+ * @property {RegExp|string} pattern Regular expression for the token text
+ * @property {(text: string) => any} [value] Makes the token value from its text (the text itself when omitted)
+ * @property {boolean} [skip] Do not emit the tokens (e.g. whitespace and comments)
+ */
+
+/**
+ * Make parser which splits text into tokens
+ * @param {LexerRule[]} rules Token definitions
+ * @returns {Parser<any,Token[]>}
+ * @description Takes the longest match of all the rules at every position, the first rule
+ * wins when the matches are of the same length. Fails at a text which does not match any rule.
+ * Tokens may then be parsed with the same combinators as the text is, see `Parser.token`.
+ * @example
+ * ~~~js
+ * const lexer = Parser.lexer([
+ *     { type: 'keyword', pattern: /if|else/ },
+ *     { type: 'identifier', pattern: '[A-Za-z_]\\w*' },
+ *     { type: 'number', pattern: /\d+/, value: Number },
+ *     { type: 'space', pattern: /\s+/, skip: true },
+ * ]);
+ * 
+ * const tokens = lexer.parseAll('if x1 12').parsed;
+ * 
+ * expect(tokens.map(token => token.type)).to.deep.equal(['keyword', 'identifier', 'number']);
+ * expect(tokens[2].value).to.equal(12);
+ * ~~~
+ */
+Parser.lexer = rules => {
+    const matchers = rules.map(rule => ({
+        rule,
+        parser: Parser.regex(rule.pattern).label(rule.type),
+    }));
+
+    const tokenParser = new Parser(input => {
+        let best;
+        let bestRule;
+
+        matchers.forEach(({ rule, parser }) => {
+            // Every rule is tried even after a committed input has failed on the previous ones
+            const result = attempt(parser._parse, input);
+
+            if (result && result.offset > (best ? best.offset : input.offset)) {
+                best = result;
+                bestRule = rule;
             }
+        });
 
-            return overflow() || underflow()
-                ? undefined
-                : { parsed: elements, rest: text };
+        if (!best) {
+            return fail(input);
+        }
+
+        const text = best.parsed;
+
+        /** @type {Token} */
+        const token = bestRule.skip ? undefined : {
+            type: bestRule.type,
+            value: bestRule.value ? bestRule.value(text) : text,
+            text,
+            start: positionOf(input),
+            end: positionOf(best),
         };
-        return new Parser(internal);
+
+        return advance(best, token, best.offset);
+    });
+
+    return tokenParser
+        .many()
+        .fmap(tokens => tokens.filter(token => token));
+};
+
+/**
+ * Make parser which consumes a token of the given type
+ * @param {string} type Type of the token
+ * @param {any} [value] Value of the token if it matters
+ * @returns {Parser<Token[],Token>}
+ * @example
+ * ~~~js
+ * const assignmentParser = Parser.token('identifier').save('name')
+ *     .bind(Parser.token('operator', '=').seq(Parser.token('number')).save('value'));
+ * 
+ * const tokens = lexer.parseAll('x = 1').parsed;
+ * 
+ * expect(assignmentParser.parseAll(tokens).parsed.value.value).to.equal(1);
+ * ~~~
+ */
+Parser.token = (type, value) => {
+    const expected = value === undefined
+        ? type
+        : describe(String(value));
+
+    const internal = input => {
+        if (hasInput(input)) {
+            const token = input.source[input.offset];
+
+            if (token && token.type == type && (value === undefined || token.value === value)) {
+                return advance(input, token, input.offset + 1);
+            }
+        }
+
+        return fail(input, expected);
     };
+    return new Parser(internal);
+};
 
-    /**
-     * Lift mapper to parser
-     * @template C
-     * @param {Mapper<B,C>} mapper Mapper
-     * @returns {Parser<A,C>}
-     * @description Maps parsed result's internal value into other value.
-     * This method is generally placed in the end of the Parser's fluent expression to compile
-     * parsing result to needed format.
-     * @example
-     * ~~~js
-     * const unorderedParser = Parser
-     *     .peek(text => text.startsWith('* '))
-     *     .seq(unorderedItemParser.many(1, 0, isNotParagraph))
-     * 
-     *     // Maps collected list-items array to an unordered list:
-     *     .fmap(items => new UnorderedList(items));
-     * ~~~
-     */
-    this.fmap = mapper => {
-        const internal = input => {
-            const result = this._parse(input);
-            return result && { parsed: mapper(result.parsed), rest: result.rest };
+/**
+ * Make parser which looks ahead into the unparsed text and fails if condition is not met
+ * @param {Condition} condition Condition to check
+ * @returns {Parser<any,any>}
+ */
+Parser.peek = condition => {
+    const internal = input => {
+        return testRest(condition, input.source, input.offset)
+            ? input
+            : fail(input);
+    };
+    return new Parser(internal);
+};
+
+/**
+ * Make parser which consumes all the rest of the unparsed text
+ * @returns {Parser<any,string>}
+ */
+Parser.all = () => {
+    const internal = input => {
+        wantMore(input);
+        return advance(input, restOf(input), input.source.length);
+    };
+    return new Parser(internal);
+};
+
+/**
+ * Make parser which succeeds when input is empty
+ * @returns {Parser<any,boolean>}
+ */
+Parser.end = () => {
+    const internal = input => {
+        return hasInput(input)
+            ? fail(input, 'end of input')
+            : advance(input, true, input.offset);
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => value === DISCARDED || value === true
+        ? ''
+        : undefined;
+
+    return new Parser(internal, print);
+};
+
+/**
+ * @typedef {object} QuotedOptions Options of `Parser.quoted`
+ * @property {string} [escape] Escape character: the character next to it never closes the quote.
+ * When the escape is the quote itself, the doubled quote stands for a single one
+ * @property {boolean} [decode] Decode the escape sequences, true by default: `\n`, `\t` and alike,
+ * `\xXX`, `\uXXXX` and `\u{X...}` are the standard ones, any other escaped character stands for itself
+ */
+
+/**
+ * Make parser for the quoted text
+ * @param {string} quote Quote character or string
+ * @param {QuotedOptions} [options] Escape character and whether to decode the escape sequences
+ * @returns {Parser<any,string>}
+ * @example
+ * ~~~js
+ * const stringParser = Parser.quoted('"', { escape: '\\' });
+ * 
+ * expect(stringParser.parseText('"say \\"hi\\"\\n"').parsed).to.equal('say "hi"\n');
+ * expect(Parser.quoted("'", { escape: "'" }).parseText("'it''s'").parsed).to.equal("it's");
+ * ~~~
+ */
+Parser.quoted = (quote, options = {}) => {
+    const { escape, decode = true } = options;
+
+    const internal = input => {
+        const { source, offset } = input;
+
+        if (!hasInput(input) || !startsWith(input, quote)) {
+            return fail(input, describe(quote));
+        }
+
+        const unclosed = () => {
+            wantMore(input);
+            return fail(input, describe(quote), source.length);
         };
-        return new Parser(internal);
+
+        const begin = offset + quote.length;
+
+        if (!escape) {
+            const end = source.indexOf(quote, begin);
+
+            return end < 0
+                ? unclosed()
+                : advance(input, source.slice(begin, end), end + quote.length, begin);
+        }
+
+        // Scan one character at a time: searching for the quote and the escape would look through the whole text
+        let index = begin;
+        let copied = begin;
+        let text = '';
+        // The decoded text is not a fragment of the source
+        let verbatim = true;
+
+        while (index < source.length) {
+            if (escape != quote && source.startsWith(escape, index)) {
+                const sequence = readEscape(source, index + escape.length, decode);
+
+                if (!sequence) break;
+
+                text += source.slice(copied, index) + (decode ? sequence.text : source.slice(index, sequence.end));
+                index = copied = sequence.end;
+                verbatim = verbatim && !decode;
+            } else if (source.startsWith(quote, index)) {
+                const next = index + quote.length;
+
+                if (escape != quote || !source.startsWith(quote, next)) {
+                    if (escape == quote && next >= source.length) {
+                        // The doubled quote may be split between the chunks of the stream
+                        wantMore(input);
+                    }
+                    return advance(input, text + source.slice(copied, index), next, verbatim ? begin : undefined);
+                }
+
+                text += source.slice(copied, decode ? next : next + quote.length);
+                index = copied = next + quote.length;
+                verbatim = verbatim && !decode;
+            } else {
+                ++index;
+            }
+        }
+
+        return unclosed();
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => {
+        if (typeof value != 'string') {
+            return undefined;
+        }
+
+        if (!escape || !decode) {
+            return quote + value + quote;
+        }
+
+        const escaped = escape == quote
+            ? value.split(quote).join(quote + quote)
+            : value.split(escape).join(escape + escape).split(quote).join(escape + quote);
+
+        return quote + escaped + quote;
     };
 
+    return new Parser(internal, print);
+};
+
+/**
+ * @typedef {object} BracketsOptions Options of `Parser.brackets`
+ * @property {CharUnit} [unit] What a single character is: brackets may be astral characters
+ * in the code point mode, and are not matched within grapheme clusters in the grapheme mode
+ * @property {string} [escape] Escape character: the character next to it is never a bracket
+ * @property {(string|[string,string])[]} [opaque] Regions where the brackets are not counted,
+ * e.g. quoted strings or code spans: the delimiter of a region, or its start and end.
+ * The escape character works within the regions too
+ */
+
+/**
+ * Make parser for the text between braces
+ * @param {string} left Left bracket
+ * @param {string} right Right bracket
+ * @param {BracketsOptions} [options] What a single character is, escape character and opaque regions
+ * @returns {Parser<any,string>} Parser for the text between the outer brackets as is
+ * @description The left and right braces must differ for the braces-matching to perform correctly.
+ * The brackets may be strings of several characters.
+ * @example
+ * ~~~js
+ * const templateParser = Parser.brackets('{{', '}}', { escape: '\\', opaque: ['"', ['`', '`']] });
+ * 
+ * expect(templateParser.parseText('{{ f("}}", {{x}}) }} rest').parsed).to.equal(' f("}}", {{x}}) ');
+ * ~~~
+ */
+Parser.brackets = (left, right, options = {}) => {
+    assert(
+        left != right,
+        'The left and right braces must differ'
+    );
+
+    const { unit, escape } = options;
+    const opaque = (options.opaque || []).map(region => typeof region == 'string' ? [region, region] : region);
+
     /**
-     * Do not fail but return default value
-     * @param {B} defaultValue Value to return when the parser fails
-     * @returns {Parser<A,B>}
+     * Skip the escape sequence
+     * @param {State<any>} input Parsing state
+     * @param {number} index Offset to start at
+     * @returns {number} Offset after the sequence, or the same offset if there is no escape character there
      */
-    this.default = defaultValue => {
-        const internal = input =>
-            this._parse(input) || { parsed: defaultValue, rest: input.rest };
+    const skipEscape = (input, index) => {
+        if (!escape || !matchesAt(input, unit, index, escape)) {
+            return index;
+        }
+
+        index += escape.length;
+
+        return index < input.source.length
+            ? index + nextChar(input, unit, index).length
+            : index;
+    };
+
+    const internal = input => {
+        const { source, offset } = input;
+
+        if (!hasInput(input) || typeof source != 'string' || !matchesAt(input, unit, offset, left)) {
+            return fail(input, describe(left));
+        }
+
+        let index = offset + left.length;
+        let balance = 1;
+
+        while (balance) {
+            if (index >= source.length) {
+                wantMore(input);
+                return fail(input, describe(right), source.length);
+            }
+
+            const escaped = skipEscape(input, index);
+
+            if (escaped > index) {
+                index = escaped;
+                continue;
+            }
+
+            const region = opaque.find(([start]) => matchesAt(input, unit, index, start));
+
+            if (region) {
+                const [start, end] = region;
+
+                index += start.length;
+
+                while (!matchesAt(input, unit, index, end)) {
+                    if (index >= source.length) {
+                        wantMore(input);
+                        return fail(input, describe(end), source.length);
+                    }
+
+                    const next = skipEscape(input, index);
+
+                    index = next > index
+                        ? next
+                        : index + nextChar(input, unit, index).length;
+                }
+
+                index += end.length;
+            } else if (matchesAt(input, unit, index, left)) {
+                ++balance;
+                index += left.length;
+            } else if (matchesAt(input, unit, index, right)) {
+                --balance;
+                index += right.length;
+            } else {
+                index += nextChar(input, unit, index).length;
+            }
+        }
+
+        return advance(input, source.slice(offset + left.length, index - right.length), index, offset + left.length);
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => {
+        if (typeof value != 'string') {
+            return undefined;
+        }
+
+        // Text with unbalanced brackets would end before its last character
+        const text = left + value + right;
+        const result = settle(internal, begin(text));
+
+        return result && result.offset == text.length
+            ? text
+            : undefined;
+    };
+
+    return new Parser(internal, print);
+};
+
+/**
+ * @typedef {object} NumberOptions Options of the numeric lexemes
+ * @property {boolean} [signed] Allow the leading `+` or `-` sign
+ */
+
+/**
+ * Make parser for a decimal integer
+ * @param {NumberOptions} [options] Whether the sign is allowed
+ * @returns {Parser<any,number>}
+ * @example
+ * ~~~js
+ * expect(Parser.integer().parseText('42 apples').parsed).to.equal(42);
+ * expect(Parser.integer({ signed: true }).parseText('-7').parsed).to.equal(-7);
+ * ~~~
+ */
+Parser.integer = (options = {}) => Parser.regex(options.signed ? /[+-]?\d+/ : /\d+/)
+    .fmap(Parser.iso(Number, String))
+    .label('integer');
+
+/**
+ * Make parser for a floating-point number with optional fraction and exponent
+ * @param {NumberOptions} [options] Whether the sign is allowed
+ * @returns {Parser<any,number>}
+ * @example
+ * ~~~js
+ * expect(Parser.float().parseText('1.5e3').parsed).to.equal(1500);
+ * expect(Parser.float({ signed: true }).parseText('-.25').parsed).to.equal(-0.25);
+ * ~~~
+ */
+Parser.float = (options = {}) => {
+    const sign = options.signed ? '[+-]?' : '';
 
-        return new Parser(internal);
-    };
-}
+    return Parser.regex(`${sign}(?:\\d+(?:\\.\\d+)?|\\.\\d+)(?:[eE][+-]?\\d+)?`)
+        .fmap(Parser.iso(Number, String))
+        .label('number');
+};
 
 /**
- * Make parser which always returns constant value
- * @template T
- * @param {T} value 
- * @returns {Parser<any,T>}
+ * Make parser for a hexadecimal integer
+ * @param {{ prefix?: string }} [options] Prefix of the number, `0x` by default (matched ignoring case)
+ * @returns {Parser<any,number>}
+ * @example
+ * ~~~js
+ * expect(Parser.hex().parseText('0xFF').parsed).to.equal(255);
+ * expect(Parser.hex({ prefix: '#' }).parseText('#1a').parsed).to.equal(26);
+ * ~~~
  */
-Parser.result = value => {
-    return new Parser(input => ({ parsed: value, rest: input.rest }));
+Parser.hex = (options = {}) => {
+    const { prefix = '0x' } = options;
+    const digits = Parser.regex(/[0-9a-fA-F]+/).label('hexadecimal digits');
+
+    return (prefix ? Parser.string(prefix, { ignoreCase: true }).seq(digits) : digits)
+        .fmap(Parser.iso(text => parseInt(text, 16), value => Number(value).toString(16)))
+        .label('hexadecimal number');
 };
 
 /**
- * Make parser which always fails
- * @returns {Parser<any,any>}
+ * Make parser for an identifier: a letter or underscore followed by letters, digits and underscores
+ * @param {{ reserved?: string[] }} [options] Reserved words which are not identifiers
+ * @returns {Parser<any,string>}
+ * @example
+ * ~~~js
+ * const nameParser = Parser.identifier({ reserved: ['if', 'else'] });
+ * 
+ * expect(nameParser.parseText('iffy = 1').parsed).to.equal('iffy');
+ * expect(nameParser.parseText('if x')).to.be.undefined;
+ * ~~~
  */
-Parser.zero = () => new Parser(() => undefined);
+Parser.identifier = (options = {}) => {
+    const reserved = new Set(options.reserved);
+    const word = Parser.regex(/[A-Za-z_][A-Za-z0-9_]*/);
+
+    const internal = input => {
+        const result = word._parse(input);
+
+        return result && !reserved.has(result.parsed)
+            ? result
+            : fail(input);
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => reserved.has(value)
+        ? undefined
+        : word._print(value);
+
+    return new Parser(internal, print).label('identifier');
+};
 
 /**
- * Make parser which consumes any single char
+ * Make parser for a line break, either `\n` or `\r\n`
  * @returns {Parser<any,string>}
  */
-Parser.item = () => {
+Parser.lineBreak = () => Parser.regex(/\r?\n/).label('line break');
+
+/**
+ * @typedef {object} SpacingOptions What is skipped between the lexemes
+ * @property {boolean} [lineBreaks] Skip line breaks as well as spaces and tabs, true by default
+ * @property {string} [lineComment] Start of the comments which last until the end of line, e.g. `//`
+ * @property {[string,string]} [blockComment] Start and end of the block comments, e.g. `['(*', '*)']`
+ * @property {boolean} [nested] The block comments may be nested
+ */
+
+/**
+ * Make parser which skips whitespace
+ * @param {SpacingOptions} [options] Whether line breaks are skipped
+ * @returns {Parser<any,string>} Parser for the skipped text, it never fails
+ */
+Parser.whitespace = (options = {}) => Parser.regex(options.lineBreaks === false ? /[^\S\r\n]*/ : /\s*/);
+
+/**
+ * Make parser for a comment which lasts until the end of line
+ * @param {string} start Start of the comment
+ * @returns {Parser<any,string>} Parser for the comment text without its start and the line break
+ */
+Parser.lineComment = start => Parser.string(start).seq(Parser.regex(/[^\r\n]*/));
+
+/**
+ * Make parser for a block comment
+ * @param {string} start Start of the comment
+ * @param {string} end End of the comment
+ * @param {SpacingOptions} [options] Whether the comments may be nested
+ * @returns {Parser<any,string>} Parser for the comment text between its start and end
+ * @throws {TypeError} When the start or end is empty or they are the same
+ * @description An unclosed comment fails at the end of input expecting the end of the comment.
+ */
+Parser.blockComment = (start, end, options = {}) => {
+    if (!start || !end || start == end) {
+        throw new TypeError('The start and end of block comments must be non-empty and differ');
+    }
+
     const internal = input => {
-        const rest = input.rest;
+        const { source, offset } = input;
 
-        return rest
-            ? { parsed: rest[0], rest: rest.slice(1) }
-            : undefined;
+        if (!hasInput(input) || !startsWith(input, start)) {
+            return fail(input, describe(start));
+        }
+
+        let index = offset + start.length;
+        let depth = 1;
+
+        while (depth) {
+            const close = source.indexOf(end, index);
+
+            if (close < 0) {
+                wantMore(input);
+                return fail(input, describe(end), source.length);
+            }
+
+            const open = options.nested ? source.indexOf(start, index) : -1;
+
+            if (open >= 0 && open < close) {
+                ++depth;
+                index = open + start.length;
+            } else {
+                --depth;
+                index = close + end.length;
+            }
+        }
+
+        return advance(input, source.slice(offset + start.length, index - end.length), index);
     };
-    return new Parser(internal);
+
+    /** @type {PrintFunction} */
+    const print = value => typeof value == 'string'
+        ? start + value + end
+        : undefined;
+
+    return new Parser(internal, print);
 };
 
 /**
- * Make parser which consumes only this given character
- * @param {string} c Template character
- * @returns {Parser<any,string>}
+ * Make parser which skips whitespace and comments
+ * @param {SpacingOptions} [options] Line breaks and comments to skip
+ * @returns {Parser<any,string>} Parser for the skipped text, it never fails
+ * @example
+ * ~~~js
+ * const spacing = Parser.spacing({ lineComment: '#', blockComment: ['(*', '*)'] });
+ * 
+ * expect(spacing.parseText('  # note\n (* more *) x')).to.deep.equal({ parsed: '  # note\n (* more *) ', rest: 'x' });
+ * ~~~
  */
-Parser.char = c => {
+Parser.spacing = (options = {}) => {
+    const whitespace = Parser.whitespace(options);
+
+    const comments = [
+        options.lineComment && Parser.lineComment(options.lineComment),
+        options.blockComment && Parser.blockComment(options.blockComment[0], options.blockComment[1], options),
+    ].filter(comment => comment);
+
+    const skipper = comments.length
+        ? whitespace.seq(comments.reduce((left, right) => left.or(right)).seq(whitespace).many())
+        : whitespace;
+
     const internal = input => {
-        const rest = input.rest;
-        return rest && rest[0] == c
-            ? { parsed: c, rest: rest.slice(1) }
+        const result = skipper._parse(input);
+        return result && advance(result, input.source.slice(input.offset, result.offset), result.offset);
+    };
+
+    /** @type {PrintFunction} */
+    const print = value => {
+        if (value === DISCARDED) {
+            return '';
+        }
+
+        return typeof value == 'string'
+            ? value
             : undefined;
     };
-    return new Parser(internal);
+
+    return new Parser(internal, print);
 };
 
 /**
- * Make parser which consumes single char if condition over it is met
- * @param {Predicate} condition Condition
- * @returns {Parser<any,string>}
- * @description `sat` means "satisfy"
+ * Make parser which skips whitespace and comments after the lexeme
+ * @template A,B
+ * @param {Parser<A,B>} parser Parser for the lexeme
+ * @param {SpacingOptions} [options] Line breaks and comments to skip
+ * @returns {Parser<A,B>}
  * @example
  * ~~~js
- * const isSpace = c => ' \t\r\n'.includes(c);
+ * const lexeme = parser => Parser.lexeme(parser, { lineComment: '//' });
  * 
- * const spaceParser = Parser.sat(isSpace);
+ * const sumParser = lexeme(Parser.integer())
+ *     .sepBy1(lexeme(Parser.char('+')))
+ *     .fmap(terms => terms.reduce((a, b) => a + b));
+ * 
+ * expect(sumParser.parseAll('1 + // two\n 2').parsed).to.equal(3);
  * ~~~
  */
-Parser.sat = condition => {
-    const internal = input => { 
-        if (input.rest && condition(input.rest[0])) {
-            return { parsed: input.rest[0], rest: input.rest.slice(1) };
+Parser.lexeme = (parser, options) => parser.pass(Parser.spacing(options));
+
+/**
+ * Make parser from the grammar text in PEG notation
+ * @param {string} source Grammar text
+ * @param {Record<string,Mapper<any,any>>} [actions] Mappers of the rule results by rule name
+ * @returns {Parser<any,any>} Parser for the first rule of the grammar
+ * @throws {ParseError} When the grammar text is malformed
+ * @description See `peg.js` for the notation.
+ * @example
+ * ~~~js
+ * const listParser = Parser.fromGrammar(`
+ *     list = head:item tail:("," item)*
+ *     item = [a-z]+
+ * `, {
+ *     list: ({ head, tail }) => [head, ...tail.map(([, item]) => item)],
+ *     item: cs => cs.join(''),
+ * });
+ * 
+ * expect(listParser.parseAll('a,bc,d').parsed).to.deep.equal(['a', 'bc', 'd']);
+ * ~~~
+ */
+Parser.fromGrammar = (source, actions) => require('./peg').fromGrammar(source, actions);
+
+/**
+ * Make parser which is built on first use
+ * @template A,B
+ * @param {() => Parser<A,B>} factory Function which makes the actual parser
+ * @returns {Parser<A,B>}
+ * @description Allows to refer to parsers which are not defined yet, e.g. in recursive grammars.
+ * @example
+ * ~~~js
+ * // Nested lists like "(a (b c) d)"
+ * const listParser = Parser.char('(')
+ *     .seq(Parser.lazy(() => elementParser).many())
+ *     .pass(Parser.char(')'));
+ * 
+ * const elementParser = Parser.char(' ').many()
+ *     .seq(listParser.or(Parser.regex(/\w+/)));
+ * ~~~
+ */
+Parser.lazy = factory => {
+    /** @type {Parser<A,B>} */
+    let parser;
+
+    const build = () => {
+        if (!parser) {
+            parser = factory();
         }
+        return parser;
     };
-    return new Parser(internal);
+
+    const internal = input => build()._parse(input);
+
+    /** @type {PrintFunction} */
+    const print = value => build()._print(value);
+
+    return new Parser(internal, print);
 };
 
 /**
- * Make parser which matches text against the provided string
- * @param {string} template Template to match
- * @returns {Parser<any,string>}
+ * Make set of parsers which may refer to each other by name
+ * @param {Record<string, (rules: Record<string,Parser<any,any>>) => Parser<any,any>>} rules Rule builders by name
+ * @returns {Record<string,Parser<any,any>>} Parsers by rule name
+ * @description Each builder gets references to all the rules of the grammar. Referring to
+ * a rule which is not defined throws while the grammar is being built.
+ * @example
+ * ~~~js
+ * const { list } = Parser.grammar({
+ *     list: r => Parser.char('(').seq(r.element.many()).pass(Parser.char(')')),
+ *     element: r => r.spaces.seq(r.list.or(r.word)),
+ *     word: () => Parser.regex(/\w+/),
+ *     spaces: () => Parser.char(' ').many(),
+ * });
+ * 
+ * expect(list.parseText('(a (b c) d)').parsed).to.deep.equal(['a', ['b', 'c'], 'd']);
+ * ~~~
  */
-Parser.string = template => {
-    const internal = input => {
-        return input.rest && input.rest.startsWith(template)
-            ? { parsed: template, rest: input.rest.slice(template.length) }
-            : undefined;
-    };
-    return new Parser(internal);
+Parser.grammar = rules => {
+    /** @type {Record<string,Parser<any,any>>} */
+    const parsers = Object.create(null);
+
+    /** @type {Record<string,Parser<any,any>>} */
+    const references = Object.create(null);
+
+    Object.keys(rules).forEach(name => {
+        references[name] = new Parser(input => parsers[name]._parse(input), value => parsers[name]._print(value));
+    });
+
+    const checked = new Proxy(references, {
+        get: (target, name) => {
+            if (typeof name == 'string' && !Object.prototype.hasOwnProperty.call(target, name)) {
+                throw new Error(`Grammar rule "${name}" is not defined`);
+            }
+            return target[name];
+        },
+    });
+
+    Object.keys(rules).forEach(name => {
+        const parser = rules[name](checked);
+
+        if (!(parser instanceof Parser)) {
+            throw new TypeError(`Grammar rule "${name}" should make a Parser`);
+        }
+
+        parsers[name] = parser;
+    });
+
+    return parsers;
 };
 
 /**
- * Make parser which looks ahead into the unparsed text and fails if condition is not met
- * @param {Predicate} condition Condition to check
+ * @typedef {object} Operator Operator definition for `Parser.expression`
+ * @property {'prefix'|'postfix'|'infix'} [type] Operator kind (infix when omitted)
+ * @property {'left'|'right'|'none'} [assoc] Associativity of an infix operator (left when omitted)
+ * @property {string|Parser<any,any>} operator Operator text or its parser
+ * @property {(...args: any[]) => any} build Makes the expression value. Gets the operands
+ * (one for prefix and postfix operators, two for infix ones) followed by the operator's parsed value.
+ */
+
+/**
+ * Make parser for expressions with operators of different precedence
+ * @param {Parser<any,any>} termParser Parser for the simplest expressions (literals, variables, parenthesised expressions)
+ * @param {Operator[][]} table Levels of operators starting from the ones which bind tightest
  * @returns {Parser<any,any>}
+ * @description Prefix and postfix operators of a level apply to operands which are built
+ * with the previous (tighter) levels, and may repeat (`!!a`). Postfix operators apply
+ * before prefix ones. A non-associative operator may not be repeated without parentheses:
+ * the second one is left unparsed. Operators must consume some text, the parser throws otherwise
+ * as `many()` does. The parser cannot print: the `build` functions have no inverse.
+ * @example
+ * ~~~js
+ * const spaces = Parser.char(' ').many();
+ * const token = text => spaces.seq(Parser.string(text)).pass(spaces);
+ * 
+ * const expressionParser = Parser.expression(
+ *     Parser.regex(/\w+/).or(Parser.lazy(() => token('(').seq(expressionParser).pass(token(')')))),
+ *     [
+ *         [{ type: 'prefix', operator: token('!'), build: x => ({ not: x }) }],
+ *         [{ operator: token('&&'), build: (a, b) => ({ and: [a, b] }) }],
+ *         [{ operator: token('||'), build: (a, b) => ({ or: [a, b] }) }],
+ *     ]
+ * );
+ * 
+ * expect(expressionParser.parseText('a && (b || !c)').parsed).to.deep.equal({
+ *     and: ['a', { or: ['b', { not: 'c' }] }]
+ * });
+ * ~~~
  */
-Parser.peek = condition => {
-    const internal = input => {
-        return condition(input.rest)
-            ? input
-            : undefined;
+Parser.expression = (termParser, table) => {
+    /**
+     * Make parser for any of the operators which returns the operator definition along with its parsed value
+     * @param {Operator[]} operators Operators
+     * @returns {Parser<any,{ definition: Operator, token: any }>}
+     */
+    const anyOf = operators => operators
+        .map(definition => {
+            const parser = definition.operator instanceof Parser
+                ? definition.operator
+                : Parser.string(definition.operator);
+
+            return parser.fmap(token => ({ definition, token }));
+        })
+        .reduce((left, right) => left.or(right), Parser.zero());
+
+    /**
+     * Make parser for a level of operators
+     * @param {Parser<any,any>} term Parser for operands of the level
+     * @param {Operator[]} operators Operators of the level
+     * @returns {Parser<any,any>}
+     */
+    const makeLevel = (term, operators) => {
+        const ofType = type => anyOf(operators.filter(definition => (definition.type || 'infix') == type));
+
+        const prefix = ofType('prefix');
+        const postfix = ofType('postfix');
+        const infix = ofType('infix');
+
+        const operand = input => {
+            const prefixes = [];
+            let state = input;
+
+            for (let result = attempt(prefix._parse, state); result; result = attempt(prefix._parse, state)) {
+                if (result.offset == state.offset) {
+                    throw new Error('Prefix operator of Parser.expression() has succeeded without consuming any text and would repeat endlessly');
+                }
+
+                prefixes.push(result.parsed);
+                state = result;
+            }
+
+            const result = term._parse(state);
+
+            if (!result) return;
+
+            let value = result.parsed;
+            state = result;
+
+            for (let next = attempt(postfix._parse, state); next; next = attempt(postfix._parse, state)) {
+                if (next.offset == state.offset) {
+                    throw new Error('Postfix operator of Parser.expression() has succeeded without consuming any text and would repeat endlessly');
+                }
+
+                value = next.parsed.definition.build(value, next.parsed.token);
+                state = next;
+            }
+
+            value = prefixes.reduceRight((operandValue, { definition, token }) => definition.build(operandValue, token), value);
+
+            return advance(state, value, state.offset);
+        };
+
+        const extend = left => {
+            const operator = infix._parse(left);
+
+            if (!operator) return undefined;
+
+            const { definition, token } = operator.parsed;
+            const right = definition.assoc == 'right' ? level(operator) : operand(operator);
+
+            return right && advance(right, { definition, value: definition.build(left.parsed, right.parsed, token) }, right.offset);
+        };
+
+        const level = input => {
+            let left = operand(input);
+
+            while (left) {
+                const next = attempt(extend, left);
+
+                if (!next) break;
+
+                if (next.offset == left.offset) {
+                    throw new Error('Infix operator of Parser.expression() has succeeded along with its operand without consuming any text and would repeat endlessly');
+                }
+
+                const { definition, value } = next.parsed;
+
+                left = advance(next, value, next.offset);
+
+                if ((definition.assoc || 'left') != 'left') break;
+            }
+
+            return left;
+        };
+
+        return new Parser(level);
     };
-    return new Parser(internal);
+
+    return table.reduce(makeLevel, termParser);
 };
 
 /**
- * Make parser which consumes all the rest of the unparsed text
- * @returns {Parser<any,string>}
+ * @typedef {object} LayoutOptions Options of the indentation-sensitive parsers
+ * @property {number} [tabWidth] Distance between the tab stops, 4 by default
  */
-Parser.all = () => {
-    const internal = input => {
-        return { parsed: input.rest, rest: '' };
-    };
-    return new Parser(internal);
-};
 
 /**
- * Make parser which succeeds when input is empty
- * @returns {Parser<any,boolean>}
+ * Make parser which skips the indentation and checks it against the one of the enclosing block
+ * @param {(column: number, indent: number|undefined) => boolean} check Checks the column against the block's one
+ * @param {(indent: number|undefined) => string} describeIndent Describes the expected indentation
+ * @param {LayoutOptions} options Layout options
+ * @returns {Parser<any,number>}
  */
-Parser.end = () => {
+const indentation = (check, describeIndent, options) => {
+    const tabWidth = options.tabWidth || 4;
+
     const internal = input => {
-        return input.rest
-            ? undefined
-            : { parsed: true, rest: '' };
+        if (typeof input.source != 'string') {
+            return fail(input, describeIndent(input.indent));
+        }
+
+        const offset = skipBlanks(input, input.offset);
+        const column = columnOf(input.source, offset, tabWidth);
+
+        return check(column, input.indent)
+            ? advance(input, column, offset)
+            : fail(input, describeIndent(input.indent), offset);
     };
     return new Parser(internal);
 };
 
 /**
- * Make parser for the quoted text
- * @param {string} quote Quote character or string
- * @returns {Parser<any,string>}
+ * Make parser which skips the indentation of the same width as the enclosing block's one
+ * @param {LayoutOptions} [options] Layout options
+ * @returns {Parser<any,number>} Parser which returns the zero-based column of the text which follows
+ * @description Outside of any block the indentation must be empty. See `Parser.block()`.
  */
-Parser.quoted = quote => {
-    const exactQuote = Parser.string(quote);
+Parser.sameIndent = (options = {}) => indentation(
+    (column, indent) => column == (indent || 0),
+    indent => `indentation of ${indent || 0}`,
+    options
+);
 
-    const untilQuote = Parser
-        .item()
-        .many(0, 0, text => !text.startsWith(quote))
-        .fmap(cs => cs.join(''));
+/**
+ * Make parser which skips the indentation which is deeper than the enclosing block's one
+ * @param {LayoutOptions} [options] Layout options
+ * @returns {Parser<any,number>} Parser which returns the zero-based column of the text which follows
+ * @description Outside of any block any indentation is deep enough. See `Parser.block()`.
+ */
+Parser.deeperIndent = (options = {}) => indentation(
+    (column, indent) => indent === undefined || column > indent,
+    indent => `indentation deeper than ${indent}`,
+    options
+);
+
+/**
+ * Make parser which skips the indentation and parses the text after it as a block
+ * @template A,B
+ * @param {Parser<A,B>} parser Parser for the block
+ * @param {LayoutOptions} [options] Layout options
+ * @returns {Parser<A,B>}
+ * @description The column of the text after the indentation becomes the reference one within the parser:
+ * `Parser.sameIndent()` and `Parser.deeperIndent()` check against it.
+ */
+Parser.indented = (parser, options = {}) => {
+    const tabWidth = options.tabWidth || 4;
+
+    const internal = input => {
+        if (typeof input.source != 'string') {
+            return parser._parse(input);
+        }
+
+        const offset = skipBlanks(input, input.offset);
+        const indent = columnOf(input.source, offset, tabWidth);
+        const result = parser._parse(derive(advance(input, undefined, offset), { indent }));
 
-    return exactQuote
-        .seq(untilQuote)
-        .pass(exactQuote);
+        return result && derive(result, { indent: input.indent });
+    };
+    return new Parser(internal);
 };
 
 /**
- * Make parser for the text between braces
- * @param {string} left Left bracket
- * @param {string} right Right bracket
- * @returns {Parser<any,string>}
- * @description The left and right braces must differ for the braces-matching to perform correctly.
+ * Make parser for the items which start on separate lines at the same column
+ * @template A,B
+ * @param {Parser<A,B>} itemParser Parser for an item (without the line break after it)
+ * @param {LayoutOptions} [options] Layout options
+ * @returns {Parser<A,B[]>}
+ * @description The first item sets the column of the block. It must be deeper than the enclosing block's
+ * column, so the nested blocks end as soon as some line is not indented enough. Blank lines between the
+ * items are skipped. The line break after the last item is left unparsed.
+ * @example
+ * ~~~js
+ * const entryParser = Parser.lazy(() => Parser.record({
+ *     key: Parser.regex(/\w+/),
+ *     value: Parser.string(': ').seq(Parser.regex(/[^\n]+/))
+ *         .or(Parser.string(':\n').seq(blockParser)),
+ * }));
+ * 
+ * const blockParser = Parser.block(entryParser);
+ * 
+ * expect(blockParser.parseAll('a:\n  b: 1\n  c: 2\nd: 3').parsed).to.deep.equal([
+ *     { key: 'a', value: [{ key: 'b', value: '1' }, { key: 'c', value: '2' }] },
+ *     { key: 'd', value: '3' },
+ * ]);
+ * ~~~
  */
-Parser.brackets = (left, right) => {
-    assert(
-        left != right,
-        'The left and right braces must differ'
-    );
+Parser.block = (itemParser, options = {}) => {
+    const tabWidth = options.tabWidth || 4;
+    const aligned = Parser.indented(itemParser, options);
 
     const internal = input => {
-        const text = input.rest;
+        const source = input.source;
 
-        if (text && text[0] == left) {
-            let index = 1;
-            let balance = 1;
+        if (typeof source != 'string') {
+            return fail(input);
+        }
 
-            while (balance && index < text.length) {
-                const char = text[index];
+        const start = skipBlanks(input, input.offset);
+        const column = columnOf(source, start, tabWidth);
 
-                if (char == left) {
-                    ++balance;
-                } else if (char == right) {
-                    --balance;
-                }
-                ++index;
+        if (input.indent !== undefined && column <= input.indent) {
+            return fail(input, `indentation deeper than ${input.indent}`, start);
+        }
+
+        const nextItem = state => {
+            const lineStart = skipLineBreaks(state, skipBlanks(state, state.offset));
+
+            if (lineStart < 0) {
+                return undefined;
             }
 
-            return balance
-                ? undefined
-                : { parsed: text.slice(1, index - 1), rest: text.slice(index) };
+            const offset = skipBlanks(state, lineStart);
+
+            return columnOf(source, offset, tabWidth) == column
+                ? aligned._parse(advance(state, undefined, lineStart))
+                : fail(state, `indentation of ${column}`, offset);
+        };
+
+        const first = aligned._parse(input);
+
+        if (!first) return undefined;
+
+        const elements = [first.parsed];
+        let state = first;
+
+        for (let next = attempt(nextItem, state); next; next = attempt(nextItem, state)) {
+            elements.push(next.parsed);
+            state = next;
         }
-        
+
+        return advance(state, elements, state.offset);
     };
     return new Parser(internal);
 };
 
+/**
+ * Make parser for a logical line which may continue on the following lines indented deeper than its start
+ * @template A,B
+ * @param {(space: Parser<any,string>) => Parser<A,B>} makeParser Makes parser for the line out of the parser
+ * for the whitespace between its parts. The whitespace parser skips spaces and tabs, and the line breaks
+ * followed by the indentation which is deeper than the line's start column.
+ * @param {LayoutOptions} [options] Layout options
+ * @returns {Parser<A,B>}
+ * @example
+ * ~~~js
+ * const wordsParser = Parser.lineFold(space => Parser.regex(/\w+/).sepBy1(space));
+ * 
+ * expect(wordsParser.parseText('one two\n  three\nfour')).to.deep.equal({
+ *     parsed: ['one', 'two', 'three'],
+ *     rest: '\nfour',
+ * });
+ * ~~~
+ */
+Parser.lineFold = (makeParser, options = {}) => {
+    const tabWidth = options.tabWidth || 4;
+
+    const space = new Parser(input => {
+        const source = input.source;
+
+        if (typeof source != 'string') {
+            return fail(input);
+        }
+
+        let offset = skipBlanks(input, input.offset);
+        const lineStart = skipLineBreaks(input, offset);
+
+        if (lineStart >= 0) {
+            const next = skipBlanks(input, lineStart);
+
+            if (next < source.length && columnOf(source, next, tabWidth) > input.indent) {
+                offset = next;
+            }
+        }
+
+        return advance(input, source.slice(input.offset, offset), offset);
+    });
+
+    return Parser.indented(makeParser(space), options);
+};
+
 /**
  * Make content parser which returns array of parsed elements with non parsed text fragments mapped to required type
  * @template A,B
  * @param {Parser<A,B>} elementParser Parser for a fit and sound element
  * @param {Mapper<string,B>} fromText Mapper to apply on the unparsed text fragments to make a fallback element
- * @param {Predicate} condition The parser repeats as long this condition succeeds on the rest of the text
+ * @param {Condition} condition The parser repeats as long this condition succeeds on the rest of the text
  * @returns {Parser<A,B[]>}
+ * @description The condition may be given as `{ at: (source, offset) => ... }` to look into the source
+ * instead of getting the rest as a new string on every step, see `many()`.
  */
 Parser.repeat = (elementParser, fromText, condition) => {
     const internal = input => {
-        let text = input.rest;
+        const source = input.source;
+        let state = input;
 
-        /** @type {string[]} */
-        let chars = [];
+        /** Start of the yet unparsed text fragment */
+        let textStart = input.offset;
+        let offset = input.offset;
 
         /** @type {B[]} */
         const elements = [];
 
         const makeText = () => {
-            if (chars.length) {
-                elements.push(fromText(chars.join('')));
-                chars.length = 0;
+            if (offset > textStart) {
+                elements.push(fromText(source.slice(textStart, offset)));
             }
         };
 
-        while (text && condition(text)) {
-            const result = elementParser._parse({ parsed: {}, rest: text });
+        while (offset < source.length && testRest(condition, source, offset)) {
+            const result = attempt(elementParser._parse, advance(state, {}, offset));
 
             if (result) {
+                if (result.offset == offset) {
+                    throw new Error('Element parser of Parser.repeat() has succeeded without consuming any text and would repeat endlessly');
+                }
+
                 makeText();
 
                 elements.push(result.parsed);
-                text = result.rest;
+                state = result;
+                offset = textStart = result.offset;
             } else {
-                chars.push(text[0]);
-                text = text.slice(1);
+                ++offset;
             }
         }
 
         makeText();
 
         return elements.length
-            ? { parsed: elements, rest: text }
-            : undefined;
+            ? advance(state, elements, offset)
+            : fail(input);
     };
     return new Parser(internal);
 };
 
 module.exports = {
     Parser,
+    ParseError,
+    TraceNode,
 };
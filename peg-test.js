@@ -0,0 +1,110 @@
+'use strict';
+
+const { expect } = require('chai');
+const { Parser, ParseError } = require('./parser');
+const { fromGrammar } = require('./peg');
+
+describe('fromGrammar', () => {
+    it('Parser.fromGrammar', () => {
+        const listParser = Parser.fromGrammar(`
+            list = head:item tail:("," item)*
+            item = [a-z]+
+        `, {
+            list: ({ head, tail }) => [head, ...tail.map(([, item]) => item)],
+            item: cs => cs.join(''),
+        });
+
+        expect(listParser.parseAll('a,bc,d').parsed).to.deep.equal(['a', 'bc', 'd']);
+        expect(listParser.parseText('a,bc,')).to.deep.equal({ parsed: ['a', 'bc'], rest: ',' });
+        expect(() => listParser.parseAll('a,,b')).to.throw(ParseError, 'expected item at 1:3');
+    });
+
+    it('sequence and choice', () => {
+        const parser = fromGrammar(`
+            # Comments and both definition signs are allowed
+            start <- 'a' 'b' / 'a' | "c"
+        `);
+
+        expect(parser.parseText('ab').parsed).to.deep.equal(['a', 'b']);
+        expect(parser.parseText('ac')).to.deep.equal({ parsed: 'a', rest: 'c' });
+        expect(parser.parseText('c').parsed).to.equal('c');
+        expect(parser.parseText('d')).to.be.undefined;
+    });
+
+    it('repetition', () => {
+        const parser = fromGrammar(`
+            start = sign:"-"? digits:[0-9]+ fraction:("." [0-9]*)?
+        `, {
+            start: ({ sign, digits, fraction }) => ({
+                negative: sign !== Parser.absent,
+                digits: digits.join(''),
+                fraction: fraction === Parser.absent ? '' : fraction[1].join(''),
+            }),
+        });
+
+        expect(parser.parseAll('-12.5').parsed).to.deep.equal({ negative: true, digits: '12', fraction: '5' });
+        expect(parser.parseAll('7').parsed).to.deep.equal({ negative: false, digits: '7', fraction: '' });
+        expect(parser.parseText('.5')).to.be.undefined;
+    });
+
+    it('lookahead', () => {
+        const parser = fromGrammar(`
+            words   = (keyword / word)+
+            keyword = "if" ![a-z] " "*
+            word    = chars:[a-z]+ " "* &(. / !.)
+        `, {
+            keyword: () => 'KEYWORD',
+            word: ({ chars }) => chars.join(''),
+        });
+
+        expect(parser.parseAll('if iffy if').parsed).to.deep.equal(['KEYWORD', 'iffy', 'KEYWORD']);
+    });
+
+    it('character classes and literals', () => {
+        const parser = fromGrammar(`
+            start = [^\\]a-c] [\\]] "\\u0041\\t" .
+        `);
+
+        expect(parser.parseAll('x]A\t!').parsed).to.deep.equal(['x', ']', 'A\t', '!']);
+        expect(parser.parseText('a]A\t!')).to.be.undefined;
+    });
+
+    it('left recursion', () => {
+        const parser = fromGrammar(`
+            sum     = left:sum operator:[+-] right:product / product
+            product = left:product "*" right:number / number
+            number  = [0-9]+
+        `, {
+            sum: value => typeof value == 'number'
+                ? value
+                : value.operator == '+' ? value.left + value.right : value.left - value.right,
+            product: value => typeof value == 'number' ? value : value.left * value.right,
+            number: cs => Number(cs.join('')),
+        });
+
+        expect(parser.parseAll('2*3+4*5').parsed).to.equal(26);
+        expect(parser.parseAll('10-2-3').parsed).to.equal(5);
+        expect(parser.parseAll('2*3*4').parsed).to.equal(24);
+    });
+
+    it('grammar errors', () => {
+        expect(() => fromGrammar('start = "a" (b')).to.throw(ParseError, 'at 1:15');
+        expect(() => fromGrammar('start = "a"\n  other = "unclosed')).to.throw(ParseError, 'at 2:11');
+        expect(() => fromGrammar('start = "a" missing')).to.throw(ParseError, /^undefined rule "missing" at 1:13$/);
+        expect(() => fromGrammar('start = "a"\nstart = "b"')).to.throw(ParseError, /^duplicate rule "start" at 2:1$/);
+        expect(() => fromGrammar('start = "a"', { other: x => x })).to.throw(Error, 'Action "other" refers to undefined rule');
+        expect(() => fromGrammar('start = "a" toString')).to.throw(ParseError, /^undefined rule "toString" at 1:13$/);
+        expect(() => fromGrammar('start = "a"', { constructor: x => x })).to.throw(Error, 'Action "constructor" refers to undefined rule');
+        expect(fromGrammar('constructor = "a"').parseAll('a').parsed).to.equal('a');
+
+        const builtins = fromGrammar(`
+            start = __proto__ constructor toString
+            __proto__ = "a"
+            constructor = "b"
+            toString = "c"
+        `, { ['__proto__']: a => a.toUpperCase(), toString: c => c.toUpperCase() });
+
+        expect(builtins.parseAll('abc').parsed).to.deep.equal(['A', 'b', 'C']);
+        expect(() => fromGrammar('start = "a" __proto__')).to.throw(ParseError, /^undefined rule "__proto__" at 1:13$/);
+    });
+});
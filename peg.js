@@ -0,0 +1,351 @@
+'use strict';
+
+const { Parser, ParseError } = require('./parser');
+
+/**
+ * Grammar text compiler.
+ *
+ * The notation is PEG's one:
+ *
+ * ~~~
+ * # Comments start with the hash sign
+ * rule     = expression             # "<-" may be used instead of "="
+ *
+ * a b      # sequence: array of the item values, or the value itself for a single item
+ * a / b    # ordered choice ("|" may be used as well), see `or()`
+ * a*       # zero or more repetitions, see `many()`
+ * a+       # one or more repetitions, see `many(1)`
+ * a?       # optional item, `Parser.absent` if missing, see `optional()`
+ * &a       # positive lookahead, see `lookahead()`
+ * !a       # negative lookahead, see `not()`
+ * name:a   # named capture: the sequence makes object of the named values, see `save()` and `bind()`
+ * (a b)    # grouping
+ * "text"   # literal text (or 'text'), see `Parser.string()`
+ * [a-z_]   # character class ([^...] for the negated one), see `Parser.sat()`
+ * .        # any character, see `Parser.item()`
+ * ~~~
+ *
+ * The first rule of the grammar is the one to parse with. Rules are memoized,
+ * so they may be left-recursive.
+ */
+
+/**
+ * @typedef {object} GrammarNode Node of the parsed grammar text
+ * @property {'choice'|'sequence'|'labeled'|'lookahead'|'repeat'|'reference'|'literal'|'class'|'any'} type Node type
+ * @property {GrammarNode[]} [alternatives] Choice alternatives
+ * @property {GrammarNode[]} [items] Sequence items
+ * @property {string} [label] Name of the captured value
+ * @property {GrammarNode} [expression] Labeled, lookahead or repeated expression
+ * @property {boolean} [negative] The lookahead is negative
+ * @property {'*'|'+'|'?'} [operator] Repetition operator
+ * @property {string} [name] Referenced rule
+ * @property {string} [text] Literal text or the character class source
+ * @property {(c: string) => boolean} [test] Character class predicate
+ * @property {import('./parser').Position} [position] Position of the reference in the grammar text
+ */
+
+/**
+ * @typedef {object} GrammarRule Rule of the parsed grammar text
+ * @property {string} name Rule name
+ * @property {GrammarNode} expression Rule expression
+ * @property {import('./parser').Position} position Position of the rule in the grammar text
+ */
+
+const ESCAPES = {
+    n: '\n',
+    r: '\r',
+    t: '\t',
+    f: '\f',
+    v: '\v',
+    b: '\b',
+    0: '\0',
+};
+
+/**
+ * Decode escape sequences of literals and character classes
+ * @param {string} text Text with escape sequences
+ * @returns {string}
+ */
+const unescape = text => text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (_, code) => {
+    if (code.length > 1) {
+        return String.fromCharCode(parseInt(code.slice(1), 16));
+    }
+    return code in ESCAPES ? ESCAPES[code] : code;
+});
+
+/**
+ * Make predicate for the character class
+ * @param {string} body Class text between the square brackets
+ * @returns {(c: string) => boolean}
+ */
+const makeClass = body => {
+    const negated = body.startsWith('^');
+
+    /** @type {string[]} */
+    const chars = [];
+
+    /** @type {[string,string][]} */
+    const ranges = [];
+
+    const items = (negated ? body.slice(1) : body).match(/\\u[0-9a-fA-F]{4}|\\.|[^\\]/g) || [];
+
+    for (let index = 0; index < items.length; ++index) {
+        const first = unescape(items[index]);
+
+        if (items[index + 1] == '-' && index + 2 < items.length) {
+            ranges.push([first, unescape(items[index + 2])]);
+            index += 2;
+        } else {
+            chars.push(first);
+        }
+    }
+
+    const matches = c => chars.includes(c) || ranges.some(([low, high]) => low <= c && c <= high);
+
+    return negated
+        ? c => !matches(c)
+        : matches;
+};
+
+const spacing = Parser.regex(/(?:\s|#[^\n]*)*/);
+
+const token = parser => parser.pass(spacing);
+
+const symbol = text => token(Parser.string(text));
+
+const identifier = token(Parser.regex(/[A-Za-z_][A-Za-z0-9_]*/).label('identifier'));
+
+const definition = symbol('=').or(symbol('<-'));
+
+const literal = token(
+    Parser.regex(/"((?:[^"\\\n]|\\.)*)"/, 1)
+        .or(Parser.regex(/'((?:[^'\\\n]|\\.)*)'/, 1))
+        .label('literal')
+).fmap(text => ({ type: 'literal', text: unescape(text) }));
+
+const characterClass = token(Parser.regex(/\[((?:[^\]\\\n]|\\.)*)\]/, 1).label('character class'))
+    .fmap(body => ({ type: 'class', text: `[${body}]`, test: makeClass(body) }));
+
+/** Parser for the grammar text */
+const { grammar } = Parser.grammar({
+    grammar: r => spacing.seq(r.rule.many(1)),
+
+    rule: r => Parser.position().save('position')
+        .bind(identifier.save('name'))
+        .bind(definition.seq(r.expression).save('expression')),
+
+    reference: () => identifier.located().pass(definition.not())
+        .fmap(({ value, start }) => ({ type: 'reference', name: value, position: start })),
+
+    primary: r => r.reference
+        .or(symbol('(').seq(r.expression).pass(symbol(')')))
+        .or(literal)
+        .or(characterClass)
+        .or(symbol('.').fmap(() => ({ type: 'any' }))),
+
+    suffixed: r => r.primary.save('expression')
+        .bind(symbol('*').or(symbol('+')).or(symbol('?')).optional().save('operator'))
+        .fmap(({ expression, operator }) => operator === Parser.absent
+            ? expression
+            : { type: 'repeat', operator, expression }),
+
+    prefixed: r => symbol('&').or(symbol('!')).optional().save('lookahead')
+        .bind(r.suffixed.save('expression'))
+        .fmap(({ lookahead, expression }) => lookahead === Parser.absent
+            ? expression
+            : { type: 'lookahead', negative: lookahead == '!', expression }),
+
+    labeled: r => identifier.pass(symbol(':')).optional().save('label')
+        .bind(r.prefixed.save('expression'))
+        .fmap(({ label, expression }) => label === Parser.absent
+            ? expression
+            : { type: 'labeled', label, expression }),
+
+    sequence: r => r.labeled.many()
+        .fmap(items => items.length == 1 && items[0].type != 'labeled'
+            ? items[0]
+            : { type: 'sequence', items }),
+
+    expression: r => r.sequence.sepBy1(symbol('/').or(symbol('|')))
+        .fmap(alternatives => alternatives.length == 1
+            ? alternatives[0]
+            : { type: 'choice', alternatives }),
+});
+
+/**
+ * Find rule references in the grammar node
+ * @param {GrammarNode} node Grammar node
+ * @returns {GrammarNode[]}
+ */
+const referencesOf = node => {
+    switch (node.type) {
+        case 'reference':
+            return [node];
+        case 'choice':
+            return node.alternatives.flatMap(referencesOf);
+        case 'sequence':
+            return node.items.flatMap(referencesOf);
+        case 'labeled':
+        case 'lookahead':
+        case 'repeat':
+            return referencesOf(node.expression);
+        default:
+            return [];
+    }
+};
+
+/**
+ * Make parser from the grammar node
+ * @param {GrammarNode} node Grammar node
+ * @param {Record<string,Parser<any,any>>} rules Parsers of the grammar rules
+ * @returns {Parser<any,any>}
+ */
+const compile = (node, rules) => {
+    switch (node.type) {
+        case 'choice':
+            return node.alternatives
+                .map(alternative => compile(alternative, rules))
+                .reduce((left, right) => left.or(right));
+
+        case 'sequence': {
+            const items = node.items;
+
+            if (!items.length) {
+                return Parser.result(null).fmap(() => []);
+            }
+
+            const labeled = items.some(item => item.type == 'labeled');
+
+            const parsers = items.map((item, index) => {
+                if (!labeled) {
+                    return compile(item, rules).save(index);
+                }
+
+                return item.type == 'labeled'
+                    ? compile(item.expression, rules).save(item.label)
+                    : compile(item, rules).fmap(() => ({}));
+            });
+
+            const sequence = parsers.reduce((left, right) => left.bind(right));
+
+            return labeled
+                ? sequence
+                : sequence.fmap(values => items.map((_, index) => values[index]));
+        }
+
+        case 'labeled':
+            return compile({ type: 'sequence', items: [node] }, rules);
+
+        case 'lookahead': {
+            const parser = compile(node.expression, rules);
+            return node.negative ? parser.not() : parser.lookahead();
+        }
+
+        case 'repeat': {
+            const parser = compile(node.expression, rules);
+
+            switch (node.operator) {
+                case '*':
+                    return parser.many();
+                case '+':
+                    return parser.many(1);
+                default:
+                    return parser.optional();
+            }
+        }
+
+        case 'reference':
+            return rules[node.name];
+
+        case 'literal':
+            return node.text
+                ? Parser.string(node.text)
+                : Parser.result('');
+
+        case 'class':
+            return Parser.sat(node.test).label(node.text);
+
+        default:
+            return Parser.item();
+    }
+};
+
+/**
+ * Make error about the rule which is well-formed but makes no sense in the grammar
+ * @param {import('./parser').Position} position Position of the rule or reference in the grammar text
+ * @param {string} message What is wrong with it
+ * @returns {ParseError}
+ */
+const ruleError = (position, message) => Object.assign(new ParseError(position, []), {
+    message: `${message} at ${position.line}:${position.column}`,
+});
+
+/**
+ * Make parser from the grammar text
+ * @param {string} source Grammar text
+ * @param {Record<string,(value: any) => any>} [actions] Mappers of the rule results by rule name
+ * @returns {Parser<any,any>} Parser for the first rule of the grammar
+ * @throws {ParseError} When the grammar text is malformed or refers to undefined rules
+ * @example
+ * ~~~js
+ * const listParser = fromGrammar(`
+ *     list = head:item tail:("," item)*
+ *     item = [a-z]+
+ * `, {
+ *     list: ({ head, tail }) => [head, ...tail.map(([, item]) => item)],
+ *     item: cs => cs.join(''),
+ * });
+ *
+ * expect(listParser.parseAll('a,bc,d').parsed).to.deep.equal(['a', 'bc', 'd']);
+ * ~~~
+ */
+const fromGrammar = (source, actions = {}) => {
+    /** @type {GrammarRule[]} */
+    const rules = grammar.parseAll(source).parsed;
+
+    /** @type {Map<string,GrammarRule>} */
+    const byName = new Map();
+
+    rules.forEach(rule => {
+        if (byName.has(rule.name)) {
+            throw ruleError(rule.position, `duplicate rule "${rule.name}"`);
+        }
+        byName.set(rule.name, rule);
+    });
+
+    rules.forEach(rule => {
+        const undefinedReference = referencesOf(rule.expression).find(node => !byName.has(node.name));
+
+        if (undefinedReference) {
+            throw ruleError(undefinedReference.position, `undefined rule "${undefinedReference.name}"`);
+        }
+    });
+
+    Object.keys(actions).forEach(name => {
+        if (!byName.has(name)) {
+            throw new Error(`Action "${name}" refers to undefined rule`);
+        }
+    });
+
+    /** @type {Record<string,(rules: Record<string,Parser<any,any>>) => Parser<any,any>>} */
+    const builders = Object.create(null);
+
+    rules.forEach(rule => {
+        builders[rule.name] = references => {
+            const parser = compile(rule.expression, references);
+            const action = Object.prototype.hasOwnProperty.call(actions, rule.name)
+                ? actions[rule.name]
+                : undefined;
+
+            return (action ? parser.fmap(action) : parser)
+                .label(rule.name)
+                .memo();
+        };
+    });
+
+    return Parser.grammar(builders)[rules[0].name];
+};
+
+module.exports = {
+    fromGrammar,
+};